@@ -0,0 +1,27 @@
+/*
+  GCal Popup Editor - background service worker
+  - Forwards chrome.commands keyboard shortcuts to the content script in the Calendar tab
+  - Shortcuts are declared in manifest.json ("commands") and can be changed at
+    chrome://extensions/shortcuts
+*/
+
+const CALENDAR_URL = 'https://calendar.google.com/*';
+
+// The tab the shortcut was pressed in, if it is Calendar; else the active Calendar tab
+async function findCalendarTab(tab) {
+  if (tab?.url?.startsWith('https://calendar.google.com/')) return tab;
+  const tabs = await chrome.tabs.query({ url: CALENDAR_URL, active: true, lastFocusedWindow: true });
+  return tabs[0] || null;
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    const target = await findCalendarTab(tab);
+    if (!target) return;
+    const res = await chrome.tabs.sendMessage(target.id, { type: 'gpe:command', command });
+    if (res && !res.ok) console.debug('[GCalPopupEditor]', command, res.error);
+  } catch (e) {
+    // No content script yet (tab opened before install/reload)
+    console.warn('[GCalPopupEditor]', 'command failed', e);
+  }
+});
@@ -1,7 +1,7 @@
 /*
   GCal Popup Editor - content script
   - Detects Google Calendar event quick popup dialogs
-  - Injects an editor UI (title + description + Save/Cancel)
+  - Injects an editor UI (title + description + date/time + Save/Cancel)
   - On Save, automates the official UI: opens editor, fills fields, clicks Save
   - No Google Calendar API used
 
@@ -13,49 +13,29 @@
 (() => {
   const LOG_PREFIX = '[GCalPopupEditor]';
   const DEBUG = false;
-  // Title editor layout preferences
-  const TITLE_MIN_LINES = 5;      // default minimum visible lines
-  const TITLE_EXTRA_LINES = 4;    // extra breathing-space lines beyond content (increased)
-  const TITLE_MAX_LINES = 16;     // hard cap to avoid huge popups
+  // User settings (see src/settings.js); replaced by stored values at boot and on change
+  const settings = { ...globalThis.GPESettings.DEFAULTS };
+  // Description editor layout preferences
+  const DESC_MIN_LINES = 3;
+  const DESC_EXTRA_LINES = 1;
+  const DESC_MAX_LINES = 14;
 
   const log = (...args) => DEBUG && console.debug(LOG_PREFIX, ...args);
   const warn = (...args) => console.warn(LOG_PREFIX, ...args);
 
-  // i18n-ish labels used to find elements reliably in JP/EN
-  const LABELS = {
-    // Buttons that open the full editor
-    editEvent: [
-      /^edit\s*event$/i,
-      /^edit$/i,
-      /^open\s*detailed\s*view$/i,
-      /^詳細を表示/,
-      /^予定を編集/,
-      /^編集$/
-    ],
-    // Title field labels/placeholders
-    title: [
-      /^title$/i,
-      /^event\s*title$/i,
-      /^add\s*title$/i,
-      /^タイトル$/, /^タイトルを追加$/, /^件名$/, /^件名を追加$/
-    ],
-    // Description/Notes field labels/placeholders
-    description: [
-      /^description$/i,
-      /^notes?$/i,
-      /^add\s*description$/i,
-      /^説明$/, /^説明を追加$/, /^メモ$/, /^メモを追加$/
-    ],
-    // Save/Confirm buttons
-    save: [
-      /^save$/i,
-      /^save\s*&\s*close$/i,
-      /^update$/i,
-      /^done$/i,
-      /^保存$/, /^保存して閉じる$/, /^更新$/, /^完了$/, /^送信$/
-    ],
-    discard: [/^discard/i, /^破棄$/]
-  };
+  // Label regexes used to find Calendar elements, built from the locale packs in
+  // src/locales.js (plus user overrides); rebuilt by applyLocale() on settings change
+  const LABELS = {};
+  let activeLocales = [];
+
+  function applyLocale() {
+    const { resolve, build } = globalThis.GPELocales;
+    activeLocales = resolve(settings.localePacks, document.documentElement.lang);
+    for (const key of Object.keys(LABELS)) delete LABELS[key];
+    Object.assign(LABELS, build(activeLocales, settings.labelOverrides));
+    log('locale packs', activeLocales);
+  }
+  applyLocale();
 
   function matchesAny(text, regexList) {
     if (!text) return false;
@@ -65,10 +45,11 @@
     return false;
   }
 
-  function waitFor(conditionFn, { timeout = 15000, interval = 100 } = {}) {
+  function waitFor(conditionFn, { timeout = 15000, interval = 100, signal } = {}) {
     const start = Date.now();
     return new Promise((resolve, reject) => {
       const tick = () => {
+        if (signal?.aborted) return reject(abortError());
         try {
           const res = conditionFn();
           if (res) return resolve(res);
@@ -82,6 +63,8 @@
     });
   }
 
+  function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
+
   function dispatchInputEvents(el) {
     el.dispatchEvent(new Event('input', { bubbles: true }));
     el.dispatchEvent(new Event('change', { bubbles: true }));
@@ -110,10 +93,225 @@
     }
   }
 
+  function setContentEditableHtml(box, html) {
+    box.focus();
+    try {
+      document.execCommand('selectAll', false, undefined);
+      if (!document.execCommand('insertHTML', false, html || '')) throw new Error('insertHTML rejected');
+    } catch (e) {
+      box.innerHTML = html;
+      dispatchInputEvents(box);
+    }
+  }
+
+  // --- Description rich text <-> editable plain text ----------------------
+  // Links whose text differs from their URL are kept as [text](url) so they survive the round trip.
+  const DESC_LINK_RX = /\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)|(https?:\/\/[^\s<]+)/g;
+  const DESC_BLOCK_TAGS = /^(DIV|P|LI|UL|OL|H[1-6]|BLOCKQUOTE|PRE|TR)$/;
+
+  function unwrapGoogleRedirect(href) {
+    try {
+      const u = new URL(href, location.href);
+      if (/(^|\.)google\.com$/.test(u.hostname) && u.pathname === '/url') return u.searchParams.get('q') || href;
+    } catch {}
+    return href;
+  }
+
+  function richTextToPlain(root) {
+    let out = '';
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) { out += node.nodeValue.replace(/\u00a0/g, ' '); return; }
+      if (!(node instanceof Element) || node.classList.contains('gpe-host')) return;
+      if (node.tagName === 'BR') { out += '\n'; return; }
+      if (node.tagName === 'A') {
+        const text = node.textContent || '';
+        const url = unwrapGoogleRedirect(node.getAttribute('href') || '');
+        out += (!url || text.trim() === url) ? text : `[${text}](${url})`;
+        return;
+      }
+      const block = DESC_BLOCK_TAGS.test(node.tagName);
+      if (block && out && !out.endsWith('\n')) out += '\n';
+      node.childNodes.forEach(walk);
+      if (block && out && !out.endsWith('\n')) out += '\n';
+    };
+    walk(root);
+    return out.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  function escapeHtml(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  function plainToRichHtml(text) {
+    return (text || '').split('\n').map(line => {
+      let html = '';
+      let last = 0;
+      for (const m of line.matchAll(DESC_LINK_RX)) {
+        html += escapeHtml(line.slice(last, m.index));
+        const url = m[2] || m[3];
+        html += `<a href="${escapeHtml(url)}">${escapeHtml(m[1] || url)}</a>`;
+        last = m.index + m[0].length;
+      }
+      return html + escapeHtml(line.slice(last));
+    }).join('<br>');
+  }
+
+  // Plain textarea editors cannot hold anchors; expand [text](url) to "text (url)"
+  function plainWithExpandedLinks(text) {
+    return (text || '').replace(DESC_LINK_RX, (m, label, url, bare) => bare || `${label} (${url})`);
+  }
+
+  function writeDescription(box, text) {
+    if (box instanceof HTMLTextAreaElement || box instanceof HTMLInputElement) {
+      setTextInputValue(box, plainWithExpandedLinks(text));
+    } else {
+      setContentEditableHtml(box, plainToRichHtml(text));
+    }
+  }
+
+  // Type into a full-editor text field and commit it the way a user would (Enter + blur)
+  function commitTextInput(input, value) {
+    input.focus();
+    setTextInputValue(input, value);
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', code: 'Enter', keyCode: 13, bubbles: true, cancelable: true }));
+    input.blur();
+  }
+
+  // --- Date/time parsing & formatting (JP/EN) ------------------------------
+  // Popup date lines look like "2024年9月15日 (日曜日)⋅午前10:00～11:00",
+  // "Sunday, September 15⋅10 – 11:30am" or "Monday, 16 September 2024⋅10:00 – 11:00".
+  const EN_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const EN_MONTH_RX = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+  const WEEKDAY_RX = /\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?|[（(]?[月火水木金土日](?:曜日?)?[)）]/gi;
+  const TIME_TOKEN_RX = /(午前|午後)?\s*(\d{1,2})(?:[:：](\d{2})|時(?:(\d{1,2})分)?)?\s*(am|pm|a\.m\.|p\.m\.)?/gi;
+
+  function pad2(n) { return String(n).padStart(2, '0'); }
+  function toYmd(y, m, d) { return `${y}-${pad2(m)}-${pad2(d)}`; }
+
+  function dateToYmd(d) { return toYmd(d.getFullYear(), d.getMonth() + 1, d.getDate()); }
+
+  function addDaysYmd(ymd, n) {
+    const [y, m, d] = ymd.split('-').map(Number);
+    return dateToYmd(new Date(y, m - 1, d + n));
+  }
+
+  function toHm(minutes) { return `${pad2(Math.floor(minutes / 60) % 24)}:${pad2(minutes % 60)}`; }
+
+  // Date currently shown by Calendar (/r/week/2024/9/15), used to infer missing years
+  function routeRefDate() {
+    const m = location.pathname.match(/\/(\d{4})\/(\d{1,2})\/(\d{1,2})(?:\/|$)/);
+    return m ? new Date(+m[1], +m[2] - 1, +m[3]) : new Date();
+  }
+
+  function inferYear(m, d, ref) {
+    const y = ref.getFullYear();
+    return [y - 1, y, y + 1]
+      .map(yy => ({ yy, diff: Math.abs(new Date(yy, m - 1, d) - ref) }))
+      .sort((a, b) => a.diff - b.diff)[0].yy;
+  }
+
+  function findDatesInText(text, ref = routeRefDate()) {
+    const found = [];
+    const push = (x, y, m, d) => {
+      if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return;
+      const end = x.index + x[0].length;
+      if (found.some(f => x.index < f.end && end > f.index)) return; // overlaps an earlier format
+      found.push({ index: x.index, end, ymd: toYmd(y || inferYear(m, d, ref), m, d) });
+    };
+    const month = (name) => EN_MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+    for (const x of text.matchAll(/(?:(\d{4})\s*年\s*)?(\d{1,2})\s*月\s*(\d{1,2})\s*日/g)) push(x, +x[1] || 0, +x[2], +x[3]);
+    for (const x of text.matchAll(/\b(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})\b/g)) push(x, +x[1], +x[2], +x[3]);
+    for (const x of text.matchAll(new RegExp(`\\b${EN_MONTH_RX}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'gi'))) push(x, +x[3] || 0, month(x[1]), +x[2]);
+    for (const x of text.matchAll(new RegExp(`\\b(\\d{1,2})\\s+${EN_MONTH_RX}(?:,?\\s+(\\d{4}))?`, 'gi'))) push(x, +x[3] || 0, month(x[2]), +x[1]);
+    for (const x of text.matchAll(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g)) push(x, +x[3], +x[1], +x[2]);
+    return found.sort((a, b) => a.index - b.index);
+  }
+
+  // Returns { start: 'HH:MM', end: 'HH:MM' } with '' for missing parts
+  function parseTimeRange(text) {
+    const tokens = [];
+    for (const x of text.matchAll(TIME_TOKEN_RX)) {
+      const hasColon = x[3] !== undefined || /時/.test(x[0]);
+      const mer = x[1] ? (x[1] === '午前' ? 'am' : 'pm') : (x[5] ? (/^a/i.test(x[5]) ? 'am' : 'pm') : null);
+      const h = +x[2];
+      const min = +(x[3] ?? x[4] ?? 0);
+      if (h > 23 || min > 59) continue;
+      tokens.push({ h, min, mer, hasColon });
+    }
+    const anyMer = tokens.some(t => t.mer);
+    // Bare numbers ("10 – 11am") only count as times when the line uses am/pm
+    const times = tokens.filter(t => t.hasColon || t.mer || anyMer).slice(0, 2);
+    if (!times.length) return { start: '', end: '' };
+    // JP carries 午前/午後 forward ("午前10:00～11:00"); EN carries am/pm backward ("10 – 11am")
+    const [a, b] = times;
+    const aInherited = !!b && !a.mer && !!b.mer;
+    const bInherited = !!b && !b.mer && !!a.mer;
+    if (aInherited) a.mer = b.mer;
+    if (bInherited) b.mer = a.mer;
+    const minutes = (t) => (t.mer ? (t.h % 12) + (t.mer === 'pm' ? 12 : 0) : t.h) * 60 + t.min;
+    let start = minutes(a);
+    let end = b ? minutes(b) : null;
+    // An inherited half-day can be the wrong one: "11 – 1pm", "午前11:00～1:00"
+    if (aInherited && start > end && start >= 720) start -= 720;
+    if (bInherited && end < start && end < 720) end += 720;
+    return { start: toHm(start), end: end === null ? '' : toHm(end) };
+  }
+
+  // Parses a popup date line into { date: 'YYYY-MM-DD', endDate, start, end, allDay }, or null.
+  // endDate differs from date for events crossing midnight or spanning several days.
+  function parseEventWhen(text, ref = routeRefDate()) {
+    const line = (text || '').split('\n').map(t => t.trim()).find(Boolean) || '';
+    const dates = findDatesInText(line, ref);
+    if (!dates.length) return null;
+    let rest = line;
+    for (const d of dates.slice().reverse()) rest = rest.slice(0, d.index) + ' '.repeat(d.end - d.index) + rest.slice(d.end);
+    rest = rest.replace(WEEKDAY_RX, ' ');
+    const { start, end } = parseTimeRange(rest);
+    const date = dates[0].ymd;
+    let endDate = dates[1]?.ymd || date;
+    if (start && end && end < start && endDate === date) endDate = addDaysYmd(date, 1);
+    // All-day ranges may name only the last day: "October 19 – 21, 2026", "10月19日～21日"
+    const lastDay = !start && !dates[1] && line.slice(dates[0].end).match(/^\s*[–—~～-]\s*(\d{1,2})\s*日?(?!\d)/);
+    if (lastDay) {
+      const [y, m, d] = date.split('-').map(Number);
+      endDate = dateToYmd(new Date(y, m - 1 + (+lastDay[1] <= d ? 1 : 0), +lastDay[1]));
+    }
+    return { date, endDate, start, end, allDay: !start };
+  }
+
+  // Format a date/time the same way the full editor's field currently shows it
+  function formatDateLike(sample, ymd) {
+    const [y, m, d] = ymd.split('-').map(Number);
+    const s = (sample || '').trim();
+    if (/[年月]/.test(s)) return `${y}年${m}月${d}日`;
+    const iso = s.match(/^\d{4}([/.-])/);
+    if (iso) return `${y}${iso[1]}${pad2(m)}${iso[1]}${pad2(d)}`;
+    if (/^\d{1,2}\/\d{1,2}\/\d{4}/.test(s)) return `${m}/${d}/${y}`;
+    const mon = new Date(y, m - 1, d).toLocaleString('en-US', { month: 'short' });
+    if (/^\d{1,2}\s+[a-z]/i.test(s)) return `${d} ${mon} ${y}`;
+    return `${mon} ${d}, ${y}`;
+  }
+
+  function formatTimeLike(sample, hm) {
+    const [h, min] = hm.split(':').map(Number);
+    const s = sample || '';
+    const h12 = (h % 12) || 12;
+    if (/午前|午後/.test(s)) return `${h < 12 ? '午前' : '午後'}${h12}:${pad2(min)}`;
+    if (/[ap]\.?m/i.test(s)) {
+      const suffix = h < 12 ? 'am' : 'pm';
+      return `${h12}:${pad2(min)}${/\d\s+[ap]/i.test(s) ? ' ' : ''}${/[AP]M/.test(s) ? suffix.toUpperCase() : suffix}`;
+    }
+    return `${/^0\d/.test(s.trim()) ? pad2(h) : h}:${pad2(min)}`;
+  }
+
   function queryClosestDialog(node) {
     return node.closest('div[role="dialog"], div[role="region"]');
   }
 
+  // Finders report which strategy matched while diagnostics are running
+  let finderTrace = null;
+  function traceFinder(strategy) { if (finderTrace) finderTrace.push(strategy); }
+
   function findQuickPopupDialogs(root = document.body) {
     // Heuristic: small dialogs with role=dialog and not full-screen editors
     const dialogs = Array.from(root.querySelectorAll('div[role="dialog"]'));
@@ -129,6 +327,7 @@
     const nearest = queryClosestDialog(container || document.body);
     if (nearest && nearest !== container) scopes.push(nearest);
     scopes.push(document);
+    const scopeName = (scope) => (scope === document ? 'document' : scope === container ? 'popup' : 'nearest dialog');
 
     const selectors = [
       'div[role="button"][aria-label]','button[aria-label]','[role="button"][aria-label]','[aria-label]'
@@ -138,12 +337,12 @@
       // aria-label match
       let cands = selectors.flatMap(sel => Array.from(scope.querySelectorAll(sel))).filter(isVisible);
       let btn = cands.find(el => matchesAny(el.getAttribute('aria-label'), LABELS.editEvent));
-      if (btn) return btn;
+      if (btn) { traceFinder(`aria-label in ${scopeName(scope)}`); return btn; }
 
       // tooltip/title/textContent match
       cands = Array.from(scope.querySelectorAll('div[role="button"],button,[role="menuitem"]')).filter(isVisible);
       btn = cands.find(el => matchesAny(el.getAttribute('data-tooltip') || el.getAttribute('title') || el.textContent, LABELS.editEvent));
-      if (btn) return btn;
+      if (btn) { traceFinder(`tooltip/text in ${scopeName(scope)}`); return btn; }
     }
     return null;
   }
@@ -156,30 +355,216 @@
 
   function extractDescriptionFromPopup(container) {
     // Try common description blocks inside the quick popup
-    // Look for nodes labelled Description/説明, or a block after an icon
+    // Look for nodes labelled Description/説明, or the known description block id
     const labelled = Array.from(container.querySelectorAll('[aria-label], [data-tooltip]'))
       .find(el => matchesAny(el.getAttribute('aria-label') || el.getAttribute('data-tooltip'), LABELS.description));
-    if (labelled) {
+    const known = container.querySelector('#xDetDlgDesc');
+    for (const el of [labelled, known]) {
+      if (!el) continue;
       // The labelled element may itself be the editor/view; prefer its text
-      const text = labelled.textContent.trim();
+      const text = richTextToPlain(el);
       if (text) return text;
     }
 
-    // Fallback: search for long text blocks likely being description
-    const paragraphs = Array.from(container.querySelectorAll('div, p'))
-      .map(el => el.textContent?.trim() || '')
-      .filter(t => t && t.length >= 5)
-      .sort((a, b) => b.length - a.length);
-    return paragraphs[0] || '';
+    // No guessing from arbitrary text blocks: this value is now editable, and a wrong
+    // prefill (e.g. the date line) would be written back as the description.
+    return '';
   }
 
-  function createEditorUI(initial) {
-    const host = document.createElement('div');
-    host.className = 'gpe-host';
-    const shadow = host.attachShadow({ mode: 'open' });
+  // The popup's date line: known block id first, then the first short text block that
+  // parses as a date. Returns { el, when } or null.
+  function findWhenBlock(container) {
+    const known = container.querySelector('#xDetDlgWhen');
+    if (known) {
+      const when = parseEventWhen(known.innerText || known.textContent);
+      if (when) return { el: known, when };
+    }
+    const heading = container.querySelector('[role="heading"], h2, h1');
+    const blocks = Array.from(container.querySelectorAll('div, span'))
+      .filter(el => !el.closest('.gpe-host') && el !== heading && !(heading && (el.contains(heading) || heading.contains(el))))
+      .filter(el => el.children.length <= 3 && (el.textContent || '').trim().length <= 120);
+    for (const el of blocks) {
+      const when = parseEventWhen(el.innerText || el.textContent);
+      if (when) return { el, when };
+    }
+    return null;
+  }
 
-    const style = document.createElement('style');
-    style.textContent = `
+  function extractWhenFromPopup(container) {
+    return findWhenBlock(container)?.when || null;
+  }
+
+  // The recurrence summary sits in or right under the date line. Only those lines (and
+  // their aria-labels) are read, so a title or description like "Weekly sync" doesn't count.
+  function isRecurringPopup(container) {
+    const block = findWhenBlock(container);
+    if (!block) return false;
+    // #xDetDlgWhen holds the summary itself; a guessed date line may have it as the next short line
+    const next = block.el.id !== 'xDetDlgWhen' && block.el.nextElementSibling;
+    const summary = next && !next.id && (next.textContent || '').trim().length <= 80 ? next : null;
+    return [block.el, summary].filter(Boolean)
+      .flatMap(el => [
+        ...(el.innerText || el.textContent || '').split('\n'),
+        ...[el, ...el.querySelectorAll('[aria-label]')].map(a => a.getAttribute('aria-label') || '')
+      ])
+      .some(text => matchesAny(text, LABELS.recurrence));
+  }
+
+  // Key for remembering per-event preferences: organizer email if shown, else calendar name
+  function extractEventOwnerKey(container) {
+    const organizer = Array.from(container.querySelectorAll('[data-email], [data-hovercard-id]'))
+      .find(el => matchesAny(el.parentElement?.textContent, LABELS.organizer));
+    const email = organizer && (organizer.getAttribute('data-email') || organizer.getAttribute('data-hovercard-id'));
+    if (email && email.includes('@')) return `org:${email.toLowerCase()}`;
+    const name = extractCalendarFromPopup(container);
+    return name ? `cal:${name}` : null;
+  }
+
+  function extractCalendarFromPopup(container) {
+    const cal = container.querySelector('#xDetDlgCal')
+      || Array.from(container.querySelectorAll('[aria-label]')).find(el => matchesAny(el.getAttribute('aria-label'), LABELS.calendarField));
+    return (cal && (cal.textContent.trim() || cal.getAttribute('aria-label').replace(/^[^:：]+[:：]\s*/, ''))) || '';
+  }
+
+  // Video links for Meet/Zoom/Teams/Webex, whether attached as conferencing or pasted
+  const VIDEO_LINK_RX = /https?:\/\/(?:[\w-]+\.)*(?:meet\.google\.com|zoom\.us|teams\.microsoft\.com|teams\.live\.com|webex\.com)\/[^\s<>"')]*/i;
+
+  function popupLocationBlock(container) {
+    return container.querySelector('#xDetDlgLoc')
+      || Array.from(container.querySelectorAll('[aria-label]')).find(el => matchesAny(el.getAttribute('aria-label'), LABELS.locationField))
+      || null;
+  }
+
+  // { location, video, videoAttached }: videoAttached = Calendar's conferencing (join
+  // button); otherwise a video link found in the location is split out of it
+  function extractPlaceFromPopup(container) {
+    const loc = popupLocationBlock(container);
+    let location = '';
+    if (loc) {
+      location = (loc.innerText || loc.textContent || '').split('\n').map(t => t.trim()).find(Boolean)
+        || (loc.getAttribute('aria-label') || '').replace(/^[^:：]+[:：]\s*/, '');
+    }
+    const desc = container.querySelector('#xDetDlgDesc');
+    const scope = container.querySelector('#xDetDlgVideo') || container;
+    const join = Array.from(scope.querySelectorAll('a[href]'))
+      .filter(a => !a.closest('.gpe-host') && !(desc && desc.contains(a)) && !(loc && loc.contains(a)))
+      .map(a => unwrapGoogleRedirect(a.href).match(VIDEO_LINK_RX)?.[0])
+      .find(Boolean);
+    if (join) return { location, video: join, videoAttached: true };
+    const inLocation = location.match(VIDEO_LINK_RX)?.[0] || '';
+    if (inLocation) location = location.replace(inLocation, ' ').replace(/\s+/g, ' ').replace(/^[\s,、]+|[\s,、]+$/g, '');
+    return { location, video: inLocation, videoAttached: false };
+  }
+
+  const EMAIL_RX = /^[^\s@,;<>()]+@[^\s@,;<>()]+\.[^\s@,;<>()]+$/;
+
+  // Guest chips carry the address in data-email / data-hovercard-id (data-id in some layouts)
+  function guestEmailOf(el) {
+    const v = (el.getAttribute('data-email') || el.getAttribute('data-hovercard-id') || el.getAttribute('data-id') || '').trim().toLowerCase();
+    return EMAIL_RX.test(v) ? v : '';
+  }
+
+  // { guests: [address, …], organizer: address | '' } from the popup's guest list
+  function extractGuestsFromPopup(container) {
+    const scope = container.querySelector('#xDetDlgAtt') || container;
+    const desc = container.querySelector('#xDetDlgDesc');
+    const guests = new Set();
+    let organizer = '';
+    scope.querySelectorAll('[data-email], [data-hovercard-id], [data-id]').forEach(el => {
+      if (el.closest('.gpe-host') || (desc && desc.contains(el))) return;
+      const email = guestEmailOf(el);
+      if (!email) return;
+      guests.add(email);
+      if (!organizer && matchesAny(el.parentElement?.textContent, LABELS.organizer)) organizer = email;
+    });
+    return { guests: [...guests], organizer };
+  }
+
+  // Calendar names from the sidebar lists ("My calendars", "Other calendars")
+  function listPageCalendars() {
+    const names = new Set();
+    document.querySelectorAll('input[type="checkbox"][aria-label], [role="checkbox"][aria-label]').forEach(el => {
+      if (!el.closest('[role="list"], ul') || el.closest('[role="dialog"], [role="main"], main, .gpe-host')) return;
+      const name = el.getAttribute('aria-label').trim();
+      if (name) names.add(name);
+    });
+    return [...names];
+  }
+
+  // Add or remove the leading ✅ (card button and bulk runs)
+  function toggleCheckPrefix(raw) {
+    const trimmedLeft = (raw || '').replace(/^\s+/, '');
+    if (/^✅\s?/.test(trimmedLeft)) return trimmedLeft.replace(/^✅\s?/, '');
+    return '✅ ' + trimmedLeft;
+  }
+
+  // --- Title prefix palette ------------------------------------------------
+  // Split leading palette prefixes off a title: "⏳ [WIP] Foo" → { present: ['⏳', '[WIP]'], rest: 'Foo' }
+  function parseTitlePrefixes(title, palette) {
+    const texts = palette.map(p => p.text).sort((a, b) => b.length - a.length);
+    const present = [];
+    let rest = (title || '').replace(/^\s+/, '');
+    for (;;) {
+      const hit = texts.find(t => rest.startsWith(t) && !present.includes(t));
+      if (!hit) break;
+      present.push(hit);
+      rest = rest.slice(hit.length).replace(/^\s+/, '');
+    }
+    return { present, rest };
+  }
+
+  // Toggle one palette entry; entries in the same group replace each other in place
+  function togglePalettePrefix(title, entry, palette) {
+    const { present, rest } = parseTitlePrefixes(title, palette);
+    let next;
+    if (present.includes(entry.text)) {
+      next = present.filter(t => t !== entry.text);
+    } else {
+      const groupOf = (t) => palette.find(p => p.text === t)?.group || '';
+      const rival = entry.group ? present.findIndex(t => groupOf(t) === entry.group) : -1;
+      next = present.filter((t, i) => i === rival || !(entry.group && groupOf(t) === entry.group));
+      if (rival >= 0) next[next.findIndex(t => groupOf(t) === entry.group)] = entry.text;
+      else next.unshift(entry.text);
+    }
+    return [...next, rest].filter(Boolean).join(' ');
+  }
+
+  // Task status (settings.statusCycle, e.g. ☐ → ⏳ → ✅ → ✖) is the cycle entry among the
+  // leading prefixes, so "[WIP] ⏳ Foo" counts as ⏳ too
+  function statusPrefixes(title, cycle, palette) {
+    return parseTitlePrefixes(title, [...palette, ...cycle.map(text => ({ text }))]);
+  }
+
+  function titleStatus(title, cycle, palette) {
+    return statusPrefixes(title, cycle, palette).present.find(t => cycle.includes(t)) || '';
+  }
+
+  // Replace the status in place with the next one (wrapping), or start the cycle
+  function cycleStatusPrefix(title, cycle, palette) {
+    if (!cycle.length) return title;
+    const { present, rest } = statusPrefixes(title, cycle, palette);
+    const i = present.findIndex(t => cycle.includes(t));
+    if (i < 0) present.unshift(cycle[0]);
+    else present[i] = cycle[(cycle.indexOf(present[i]) + 1) % cycle.length];
+    return [...present, rest].filter(Boolean).join(' ');
+  }
+
+  // "Alt+Shift+1" → matches keydown events; also matches by e.code so Option+digit works on macOS
+  function matchesShortcut(e, spec) {
+    if (!spec) return false;
+    const parts = spec.toLowerCase().split('+').map(t => t.trim()).filter(Boolean);
+    const key = parts.pop();
+    if (!key) return false;
+    const mods = { alt: e.altKey, ctrl: e.ctrlKey, shift: e.shiftKey, meta: e.metaKey };
+    for (const m of Object.keys(mods)) {
+      if (parts.includes(m) !== mods[m]) return false;
+    }
+    const code = (e.code || '').toLowerCase();
+    return (e.key || '').toLowerCase() === key || code === `key${key}` || code === `digit${key}`;
+  }
+
+  // Styles shared by every shadow-DOM surface (popup card, floating panels)
+  const BASE_CSS = `
       :host, .gpe { font-family: Roboto, Arial, sans-serif; }
       :host { all: initial; }
       .gpe { box-sizing: border-box; margin-top: 8px; }
@@ -187,9 +572,6 @@
       @media (prefers-color-scheme: dark) {
         :root, .gpe { --gpe-bg:#202124; --gpe-fg:#e8eaed; --gpe-border:#3c4043; --gpe-muted:#9aa0a6; --gpe-shadow: 0 1px 2px rgba(0,0,0,.6), 0 4px 12px rgba(0,0,0,.4); }
       }
-      .togglebar { display:flex; justify-content:flex-end; padding: 0 0 6px 0; }
-      .toggle-btn { display:inline-flex; align-items:center; gap:6px; padding:4px 8px; font-size:12px; border-radius:6px; cursor:pointer; user-select:none; border:1px solid var(--gpe-border); background: var(--gpe-bg); color: var(--gpe-primary); }
-      .toggle-btn .ic { width:14px; height:14px; }
       .card { background: var(--gpe-bg); color: var(--gpe-fg); border: 1px solid var(--gpe-border); border-radius: 10px; box-shadow: var(--gpe-shadow); overflow: hidden; }
       .toolbar { display:flex; align-items:center; justify-content:space-between; padding: 8px 10px; border-bottom: 1px solid var(--gpe-border); gap:8px; }
       .toolbar .left { display:flex; align-items:center; gap:8px; min-width:0; }
@@ -202,23 +584,108 @@
       .btn.ghost { background: transparent; color: var(--gpe-primary); }
       .btn .ic { width:14px; height:14px; display:inline-block; }
       .content { padding: 10px; display:flex; flex-direction:column; gap:10px; }
+      .status { display:flex; align-items:center; gap:8px; padding: 8px 10px; border-top: 1px solid var(--gpe-border); font-size:11px; color:var(--gpe-muted); min-height: 18px; }
+      .spinner { width:14px; height:14px; border:2px solid var(--gpe-border); border-top-color: var(--gpe-primary); border-radius:50%; animation: gpe_spin .9s linear infinite; }
+      .check { width:14px; height:14px; color:#188038; }
+      .hidden { display:none !important; }
+      @keyframes gpe_spin { to { transform: rotate(360deg); } }
+  `;
+
+  function createEditorUI(initial) {
+    const host = document.createElement('div');
+    host.className = 'gpe-host';
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = BASE_CSS + `
+      .togglebar { display:flex; justify-content:flex-end; gap:6px; padding: 0 0 6px 0; }
+      .toggle-btn { display:inline-flex; align-items:center; gap:6px; padding:4px 8px; font-size:12px; border-radius:6px; cursor:pointer; user-select:none; border:1px solid var(--gpe-border); background: var(--gpe-bg); color: var(--gpe-primary); }
+      .toggle-btn .ic { width:14px; height:14px; }
       .field { position:relative; }
       .field input, .field textarea { width:100%; font-size:13px; color:var(--gpe-fg); background: var(--gpe-bg); border:1px solid var(--gpe-border); border-radius:8px; padding: 16px 12px 10px 12px; outline:none; box-sizing:border-box; transition:border-color .15s ease; }
       .field textarea { resize:none; line-height:1.4; overflow:hidden; min-height: 120px; max-height: 420px; }
+      .field textarea.gpe-desc { min-height: 72px; overflow-y:auto; }
       .field input:focus, .field textarea:focus { border-color: var(--gpe-primary); }
       .field label { position:absolute; left:12px; top:10px; font-size:12px; color:var(--gpe-muted); background:var(--gpe-bg); padding:0 4px; transform-origin:left top; transition: transform .12s ease, color .12s ease, top .12s ease; pointer-events:none; }
       .field.filled label, .field:focus-within label { top:-7px; transform: scale(.88); color: var(--gpe-primary); }
-      .status { display:flex; align-items:center; gap:8px; padding: 8px 10px; border-top: 1px solid var(--gpe-border); font-size:11px; color:var(--gpe-muted); min-height: 18px; }
-      .spinner { width:14px; height:14px; border:2px solid var(--gpe-border); border-top-color: var(--gpe-primary); border-radius:50%; animation: gpe_spin .9s linear infinite; }
-      .check { width:14px; height:14px; color:#188038; }
-      .hidden { display:none !important; }
-      @keyframes gpe_spin { to { transform: rotate(360deg); } }
+      .when { display:flex; flex-direction:column; gap:4px; }
+      .when-label { font-size:12px; color:var(--gpe-muted); }
+      .when-row { display:flex; align-items:center; gap:6px; flex-wrap:wrap; }
+      .when-row input[type="date"], .when-row input[type="time"] { font-size:13px; color:var(--gpe-fg); background:var(--gpe-bg); border:1px solid var(--gpe-border); border-radius:8px; padding:6px 8px; outline:none; color-scheme: light dark; }
+      .when-row input:focus { border-color: var(--gpe-primary); }
+      .when-row .dash { color:var(--gpe-muted); }
+      .when-row .allday { display:inline-flex; align-items:center; gap:4px; font-size:12px; color:var(--gpe-fg); cursor:pointer; }
+      .when.allday-on .gpe-start, .when.allday-on .gpe-end, .when.allday-on .dash { display:none; }
+      .when-note { font-size:12px; color:var(--gpe-muted); }
+      .scope { display:flex; align-items:center; gap:8px; }
+      .palette { display:flex; flex-wrap:wrap; gap:6px; }
+      .palette:empty { display:none; }
+      .palette .btn[aria-pressed="true"] { background: color-mix(in srgb, var(--gpe-primary) 14%, var(--gpe-bg)); border-color: var(--gpe-primary); }
+      .palette .status-cycle { border-style:dashed; }
+      .suggest { position:absolute; left:0; right:0; top:100%; margin:2px 0 0; padding:4px 0; list-style:none; z-index:1; background:var(--gpe-bg); border:1px solid var(--gpe-border); border-radius:8px; box-shadow:var(--gpe-shadow); max-height:180px; overflow:auto; }
+      .suggest li { display:flex; align-items:center; gap:6px; padding:4px 10px; font-size:13px; cursor:pointer; }
+      .suggest li[aria-selected="true"] { background: color-mix(in srgb, var(--gpe-primary) 14%, var(--gpe-bg)); }
+      .suggest .text { flex:1; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+      .suggest .exclude { border:0; background:none; color:var(--gpe-muted); cursor:pointer; font-size:12px; padding:0 2px; }
+      .colors { display:flex; align-items:center; gap:4px; flex-wrap:wrap; }
+      .colors .swatch { width:18px; height:18px; border-radius:50%; border:2px solid transparent; padding:0; cursor:pointer; background:var(--sw); box-shadow:0 0 0 1px var(--gpe-border); }
+      .colors .swatch.default { background:conic-gradient(#d50000 0 25%, #33b679 0 50%, #039be5 0 75%, #f6bf26 0); }
+      .colors .swatch[aria-pressed="true"] { border-color: var(--gpe-bg); box-shadow:0 0 0 2px var(--gpe-primary); }
+      .colors .swatch[disabled] { cursor:not-allowed; opacity:.55; }
+      .draft { display:flex; align-items:center; flex-wrap:wrap; gap:6px; padding:8px 10px; border-bottom:1px solid var(--gpe-border); font-size:12px; }
+      .draft .text { flex:1; color:#b06000; }
+      .toggle-btn[aria-pressed="true"] { color:var(--gpe-primary); border-color:var(--gpe-primary); }
+      .compare { padding:8px 10px; border-top:1px solid var(--gpe-border); display:flex; flex-direction:column; gap:6px; font-size:12px; }
+      .compare .head { font-weight:600; color:#b06000; }
+      .compare .row { display:grid; grid-template-columns: 88px 1fr; gap:6px; }
+      .compare .k { color:var(--gpe-muted); }
+      .compare .v { white-space:pre-wrap; word-break:break-word; }
+      .compare textarea { font:inherit; color:var(--gpe-fg); background:var(--gpe-bg); border:1px solid var(--gpe-border); border-radius:8px; padding:6px 8px; resize:vertical; min-height:40px; }
+      .compare .choices { display:flex; flex-wrap:wrap; gap:6px; justify-content:flex-end; }
+      .report { margin:0; padding:6px 10px 6px 28px; border-top:1px solid var(--gpe-border); font-size:11px; display:flex; flex-direction:column; gap:2px; }
+      .report li[data-status="ok"] .st { color:#188038; }
+      .report li[data-status="missing"] .st, .report li[data-status="error"] .st { color:#d93025; font-weight:600; }
+      .report li[data-status="skipped"] .st, .report li[data-status="pending"] .st, .report li[data-status="cancelled"] .st { color:var(--gpe-muted); }
+      .report li[data-status="running"] .st, .report li[data-status="rolled back"] .st { color:var(--gpe-primary); }
+      .report .detail { color:var(--gpe-muted); word-break:break-all; }
+      .place { display:flex; flex-direction:column; gap:4px; }
+      .place input, .guest-row input { flex:1; min-width:0; font-size:13px; color:var(--gpe-fg); background:var(--gpe-bg); border:1px solid var(--gpe-border); border-radius:8px; padding:6px 8px; outline:none; }
+      .place input:focus, .guest-row input:focus { border-color:var(--gpe-primary); }
+      .place .video-row { display:flex; gap:6px; align-items:center; }
+      .guests { display:flex; flex-direction:column; gap:4px; }
+      .guest-list { list-style:none; margin:0; padding:0; display:flex; flex-wrap:wrap; gap:4px; }
+      .guest-list li { display:inline-flex; align-items:center; gap:4px; max-width:100%; padding:2px 4px 2px 8px; font-size:12px; border:1px solid var(--gpe-border); border-radius:12px; }
+      .guest-list li.added { border-color:var(--gpe-primary); }
+      .guest-list .email { overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+      .guest-list .role { color:var(--gpe-muted); font-size:11px; }
+      .guest-list button { border:0; background:none; color:var(--gpe-muted); cursor:pointer; font-size:12px; padding:0 2px; }
+      .guest-row { display:flex; gap:6px; align-items:center; }
+      .reminders { display:flex; flex-direction:column; gap:4px; }
+      .rem-head { display:flex; align-items:center; gap:6px; flex-wrap:wrap; }
+      .rem-head .rem-state { flex:1; font-size:11px; color:var(--gpe-muted); }
+      .rem-list { list-style:none; margin:0; padding:0; display:flex; flex-direction:column; gap:4px; }
+      .rem-list li { display:flex; align-items:center; gap:6px; }
+      .rem-list input { width:64px; font-size:12px; color:var(--gpe-fg); background:var(--gpe-bg); border:1px solid var(--gpe-border); border-radius:8px; padding:5px 8px; }
+      .rem-list select { font-size:12px; color:var(--gpe-fg); background:var(--gpe-bg); border:1px solid var(--gpe-border); border-radius:8px; padding:5px 8px; }
+      .scope select { font-size:12px; color:var(--gpe-fg); background:var(--gpe-bg); border:1px solid var(--gpe-border); border-radius:8px; padding:5px 8px; }
     `;
 
     const wrap = document.createElement('div');
     wrap.className = 'gpe';
     wrap.innerHTML = `
       <div class="togglebar">
+        <button class="toggle-btn" data-action="dryrun" title="Rehearse saving without changing the event / 保存の手順を変更せずに確認">
+          <span>リハーサル / Dry run</span>
+        </button>
+        <button class="toggle-btn" data-action="create" title="Create an event from one line (Alt+Shift+N) / 1行で予定を作成">
+          <span>新規 / New</span>
+        </button>
+        <button class="toggle-btn" data-action="pin" aria-pressed="false" title="Keep the card open after the popup closes / ポップアップを閉じてもカードを残す">
+          <span class="pin-text">ピン留め / Pin</span>
+        </button>
+        <button class="toggle-btn" data-action="diagnose" title="Check which page elements the extension can find / 要素の検出状況を確認">
+          <span>診断 / Diagnose</span>
+        </button>
         <button class="toggle-btn" data-action="toggle" title="クイック編集の表示/非表示">
           <svg class="ic" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M12 6a9.77 9.77 0 0 1 9 6 9.77 9.77 0 0 1-9 6 9.77 9.77 0 0 1-9-6 9.77 9.77 0 0 1 9-6zm0 2a4 4 0 1 0 .001 8.001A4 4 0 0 0 12 8z"/></svg>
           <span class="toggle-text">クイック編集を隠す</span>
@@ -236,26 +703,113 @@
               <svg class="ic" viewBox="0 0 24 24" fill="currentColor"><path d="M12 6V3L8 7l4 4V8c2.76 0 5 2.24 5 5a5 5 0 11-5-5z"/></svg>
               <span>Reload</span>
             </button>
+            <button class="btn ghost" data-action="history" title="Edit history / 編集履歴">
+              <svg class="ic" viewBox="0 0 24 24" fill="currentColor"><path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6a7 7 0 1 1 2.05 4.95l-1.42 1.42A9 9 0 1 0 13 3zm-1 5v5l4.25 2.52.77-1.28-3.52-2.09V8H12z"/></svg>
+              <span>History</span>
+            </button>
             <button class="btn ghost" data-action="cancel" title="Cancel (Esc)">
               <svg class="ic" viewBox="0 0 24 24" fill="currentColor"><path d="M19 6.41 17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>
               <span>Cancel</span>
             </button>
-            <button class="btn ghost" data-action="toggle-check" title="タイトル先頭に✅を付ける/外す">
-              <span class="ic">✅</span>
-              <span>先頭チェック</span>
-            </button>
             <button class="btn primary" data-action="save" title="Save (Ctrl/Cmd+S)" disabled>
               <svg class="ic" viewBox="0 0 24 24" fill="currentColor"><path d="M17 3H5c-1.1 0-2 .9-2 2v14l4-4h10c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2z"/></svg>
               <span>Save</span>
             </button>
           </div>
         </div>
+        <div class="draft hidden" role="group" aria-label="Unsaved draft / 未保存の下書き">
+          <span class="text"></span>
+          <button class="btn ghost" data-draft="discard">Discard / 破棄</button>
+          <button class="btn primary" data-draft="restore">Restore / 復元</button>
+        </div>
         <div class="content">
+          <div class="palette" role="toolbar" aria-label="Title prefixes / タイトル接頭辞"></div>
           <div class="field f-title">
-            <textarea class="gpe-title" id="gpe-title" rows="5"></textarea>
+            <textarea class="gpe-title" id="gpe-title" rows="5" aria-autocomplete="list" aria-controls="gpe-suggest"></textarea>
             <label for="gpe-title">Title / タイトル</label>
+            <ul class="suggest hidden" id="gpe-suggest" role="listbox" aria-label="Title suggestions / タイトル候補"></ul>
+          </div>
+          <div class="field f-desc">
+            <textarea class="gpe-desc" id="gpe-desc" rows="3"></textarea>
+            <label for="gpe-desc">Description / 説明</label>
+          </div>
+          <div class="when">
+            <span class="when-label">Date &amp; time / 日時</span>
+            <div class="when-row">
+              <input type="date" class="gpe-date" aria-label="Date / 日付" />
+              <input type="time" class="gpe-start" aria-label="Start time / 開始時刻" />
+              <span class="dash">–</span>
+              <input type="time" class="gpe-end" aria-label="End time / 終了時刻" />
+              <label class="allday"><input type="checkbox" class="gpe-allday" /> All day / 終日</label>
+            </div>
+            <span class="when-note hidden">Crosses midnight or spans several days — change its date and time in Calendar / 日をまたぐ予定の日時は Calendar で変更してください</span>
+          </div>
+          <div class="place">
+            <span class="when-label">Location / 場所</span>
+            <input type="text" class="gpe-location" aria-label="Location / 場所" />
+            <span class="when-label">Video link / ビデオ会議</span>
+            <div class="video-row">
+              <input type="text" class="gpe-video" aria-label="Video link / ビデオ会議のリンク" placeholder="https://… · empty removes / 空欄で削除" />
+              <button class="btn ghost meet" title="Add a new Google Meet link on save / 保存時に Google Meet を追加">+ Meet</button>
+            </div>
+          </div>
+          <div class="guests">
+            <span class="when-label">Guests / ゲスト</span>
+            <ul class="guest-list" aria-label="Guests / ゲスト"></ul>
+            <div class="guest-row">
+              <input type="text" class="gpe-guest" list="gpe-guest-suggest" inputmode="email" autocomplete="off" aria-label="Add guests / ゲストを追加" placeholder="name@example.com" />
+              <button class="btn ghost" data-guest="add" title="Add guest (Enter) / ゲストを追加">+ Add / 追加</button>
+            </div>
+            <datalist id="gpe-guest-suggest"></datalist>
+          </div>
+          <div class="reminders">
+            <div class="rem-head">
+              <span class="when-label">Reminders / 通知</span>
+              <span class="rem-state"></span>
+              <button class="btn ghost" data-action="load-reminders" title="Read the event's notifications from the full editor / フル編集画面から通知を読み込む">Load / 読込</button>
+              <button class="btn ghost" data-rem="defaults" title="Replace with the default set from the options / オプションの既定の通知に置き換える">Defaults / 既定</button>
+              <button class="btn ghost" data-rem="add" title="Add a notification / 通知を追加">+ Add / 追加</button>
+            </div>
+            <ul class="rem-list"></ul>
+          </div>
+          <div class="scope colors-row">
+            <span class="when-label">Colour / 色</span>
+            <div class="colors" role="group" aria-label="Event colour / 予定の色"></div>
+          </div>
+          <div class="scope">
+            <span class="when-label">Calendar / カレンダー</span>
+            <select class="gpe-calendar" aria-label="Calendar / カレンダー"></select>
+          </div>
+          <div class="scope">
+            <span class="when-label">Notify guests / ゲストに通知</span>
+            <select class="gpe-notify" aria-label="Notify guests / ゲストに通知">
+              <option value="send">Send / 送信</option>
+              <option value="dontsend">Don't send / 送信しない</option>
+              <option value="ask">Ask me / 確認する</option>
+            </select>
+          </div>
+          <div class="scope recurring hidden">
+            <span class="when-label">Recurring / 繰り返し</span>
+            <select class="gpe-scope" aria-label="Apply changes to / 変更の適用範囲">
+              <option value="this">This event / この予定</option>
+              <option value="following">This and following / これ以降のすべての予定</option>
+              <option value="all">All events / すべての予定</option>
+            </select>
+          </div>
+        </div>
+        <div class="compare hidden" role="group" aria-label="Title conflict / タイトルの競合">
+          <div class="head">The title was changed in Calendar after this popup opened. / ポップアップを開いた後にタイトルが変更されています。</div>
+          <div class="row"><span class="k">Theirs / 相手</span><span class="v theirs"></span></div>
+          <div class="row"><span class="k">Mine / 自分</span><span class="v mine"></span></div>
+          <textarea class="merge" rows="2" aria-label="Merged title / 統合したタイトル"></textarea>
+          <div class="choices">
+            <button class="btn ghost" data-choice="abort">Cancel save / 保存を中止</button>
+            <button class="btn" data-choice="theirs">Keep theirs / 相手</button>
+            <button class="btn" data-choice="mine">Use mine / 自分</button>
+            <button class="btn primary" data-choice="merge">Use edited / 編集した内容</button>
           </div>
         </div>
+        <ol class="report hidden" aria-label="Steps / 手順"></ol>
         <div class="status" aria-live="polite">
           <span class="spinner hidden" aria-hidden="true"></span>
           <svg class="check hidden" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M9 16.17l-3.88-3.88L4 13.41 9 18.41 20.59 6.83 19.17 5.41z"/></svg>
@@ -268,6 +822,18 @@
     shadow.appendChild(wrap);
 
     const titleEl = wrap.querySelector('.gpe-title');
+    const descEl = wrap.querySelector('.gpe-desc');
+    const whenBox = wrap.querySelector('.when');
+    const dateEl = wrap.querySelector('.gpe-date');
+    const startEl = wrap.querySelector('.gpe-start');
+    const endEl = wrap.querySelector('.gpe-end');
+    const allDayEl = wrap.querySelector('.gpe-allday');
+    const scopeEl = wrap.querySelector('.gpe-scope');
+    const notifyEl = wrap.querySelector('.gpe-notify');
+    const colorsEl = wrap.querySelector('.colors');
+    const calendarEl = wrap.querySelector('.gpe-calendar');
+    const locationEl = wrap.querySelector('.gpe-location');
+    const videoEl = wrap.querySelector('.gpe-video');
     const card = wrap.querySelector('.card');
     const toggleBtn = wrap.querySelector('.toggle-btn');
     const toggleText = wrap.querySelector('.toggle-text');
@@ -277,15 +843,22 @@
     const saveBtn = wrap.querySelector('button[data-action="save"]');
     const cancelBtn = wrap.querySelector('button[data-action="cancel"]');
     const reloadBtn = wrap.querySelector('button[data-action="reload"]');
-    const checkBtn = wrap.querySelector('button[data-action="toggle-check"]');
+    const paletteEl = wrap.querySelector('.palette');
+    const reportEl = wrap.querySelector('.report');
+    const badgeEl = wrap.querySelector('.badge');
+    const compareEl = wrap.querySelector('.compare');
+    const draftEl = wrap.querySelector('.draft');
+    const pinBtn = wrap.querySelector('button[data-action="pin"]');
 
     const ui = {
       host,
       shadow,
       root: wrap,
       title: titleEl,
+      description: descEl,
+      when: { date: dateEl, start: startEl, end: endEl, allDay: allDayEl },
       status: statusText,
-      buttons: { save: saveBtn, cancel: cancelBtn, reload: reloadBtn, toggle: toggleBtn, check: checkBtn },
+      buttons: { save: saveBtn, cancel: cancelBtn, reload: reloadBtn, toggle: toggleBtn },
       on(action, fn) {
         wrap.addEventListener('click', (e) => {
           const btn = e.target.closest('button[data-action]');
@@ -297,9 +870,109 @@
       setSaving(isSaving) {
         if (isSaving) { spinner.classList.remove('hidden'); check.classList.add('hidden'); }
         else { spinner.classList.add('hidden'); }
-        titleEl.disabled = !!isSaving; saveBtn.disabled = !!isSaving || !dirty();
+        wrap.querySelectorAll('.content input, .content textarea, .content select, .colors button, .place button, .guests button, .reminders button').forEach(el => { el.disabled = !!isSaving; });
+        // The togglebar is outside .content; these would start another run on the same editor
+        wrap.querySelectorAll('.togglebar [data-action="dryrun"], .togglebar [data-action="create"], .togglebar [data-action="diagnose"]').forEach(el => { el.disabled = !!isSaving; });
+        lockWhen();
+        saveBtn.disabled = !!isSaving || (!dirty() && !settings.dryRun);
+      },
+      // field: 'title' | 'description' | 'date' | 'start' | 'end' | 'allDay' | 'color' | 'calendar'
+      //        | 'location' | 'video' | 'guests' | 'reminders' | 'when' (any date/time part)
+      isDirty(field) {
+        if (!field) return dirty();
+        const cur = readValues();
+        const keys = field === 'when' ? WHEN_KEYS : [field];
+        return keys.some(k => cur[k] !== baseline[k]);
+      },
+      values() { return readValues(); },
+      baseline() { return { ...baseline }; },
+      // Recurring events only: 'this' | 'following' | 'all', else null
+      scope() { return initial.recurring ? scopeEl.value : null; },
+      // 'send' | 'dontsend' | 'ask'
+      notify() { return notifyEl.value; },
+      // Apply a default unless the user already picked something in this card
+      setNotifyDefault(action) { if (!notifyTouched && action) notifyEl.value = action; },
+      setValues(values) {
+        if (typeof values.title === 'string') titleEl.value = values.title;
+        if (typeof values.description === 'string') descEl.value = values.description;
+        if (values.when && !whenLocked) writeWhen(values.when);
+        if (typeof values.calendar === 'string') writeCalendars(values.calendar, values.calendars);
+        if (typeof values.color === 'string') selectedColor = values.color;
+        if (typeof values.location === 'string') locationEl.value = values.location;
+        if (typeof values.video === 'string') videoEl.value = values.video;
+        if (typeof values.guests === 'string') guests = parseGuests(values.guests);
+        if (typeof values.reminders === 'string') { reminders = parseReminders(values.reminders); renderReminders(); }
+        refresh();
+      },
+      refresh() { renderPalette(); refresh(); },
+      markSaved() { baseline = readValues(); updateDirty(); },
+      // Title conflict: show theirs/mine and an editable merge; resolves with the
+      // chosen title, or null when the user cancels the save
+      resolveConflict({ theirs, mine }, signal) {
+        compareEl.querySelector('.theirs').textContent = theirs;
+        compareEl.querySelector('.mine').textContent = mine;
+        const merge = compareEl.querySelector('.merge');
+        merge.value = mine;
+        compareEl.classList.remove('hidden');
+        merge.focus();
+        return new Promise(resolve => {
+          const onClick = (e) => {
+            const choice = e.target.closest('button[data-choice]')?.dataset.choice;
+            if (!choice || (choice === 'merge' && !normalizeTitle(merge.value))) return;
+            compareEl.removeEventListener('click', onClick);
+            compareEl.classList.add('hidden');
+            resolve({ theirs, mine, merge: normalizeTitle(merge.value), abort: null }[choice]);
+          };
+          compareEl.addEventListener('click', onClick);
+          signal?.addEventListener('abort', () => {
+            compareEl.removeEventListener('click', onClick);
+            compareEl.classList.add('hidden');
+            resolve(null);
+          }, { once: true });
+        });
+      },
+      // Unsaved draft from an earlier card for this event; resolves true to restore it
+      offerDraft(savedAt) {
+        const mins = Math.max(1, Math.round((Date.now() - savedAt) / 60000));
+        const ago = mins < 60 ? `${mins} min` : `${Math.round(mins / 60)} h`;
+        draftEl.querySelector('.text').textContent = `Unsaved draft from ${ago} ago / 未保存の下書きがあります`;
+        draftEl.classList.remove('hidden');
+        return new Promise(resolve => {
+          const onClick = (e) => {
+            const choice = e.target.closest('button[data-draft]')?.dataset.draft;
+            if (!choice) return;
+            draftEl.removeEventListener('click', onClick);
+            draftEl.classList.add('hidden');
+            resolve(choice === 'restore');
+          };
+          draftEl.addEventListener('click', onClick);
+        });
+      },
+      // Reminders read from the full editor; baseline: they are the event's current ones
+      setReminders(list, { baseline: asBaseline = false } = {}) {
+        reminders = list;
+        renderReminders();
+        if (asBaseline) baseline.reminders = serializeReminders(list);
+        refresh();
+      },
+      setPinned(pinned) {
+        pinBtn.setAttribute('aria-pressed', String(!!pinned));
+        pinBtn.querySelector('.pin-text').textContent = pinned ? 'ピン留め中 / Pinned' : 'ピン留め / Pin';
+      },
+      // Step list for dry runs and saves: [{ name, status, detail }]; null hides
+      showReport(steps) {
+        reportEl.textContent = '';
+        reportEl.classList.toggle('hidden', !steps);
+        for (const s of steps || []) {
+          const li = document.createElement('li');
+          li.dataset.status = s.status;
+          li.innerHTML = '<span class="name"></span> — <span class="st"></span> <span class="detail"></span>';
+          li.querySelector('.name').textContent = s.name;
+          li.querySelector('.st').textContent = s.status;
+          li.querySelector('.detail').textContent = s.detail;
+          reportEl.appendChild(li);
+        }
       },
-      markSaved() { baseline.title = titleEl.value; updateDirty(); },
       setCollapsed(collapsed) {
         card.classList.toggle('hidden', !!collapsed);
         toggleText.textContent = collapsed ? 'クイック編集を表示' : 'クイック編集を隠す';
@@ -308,56 +981,351 @@
 
     // Initialize values
     titleEl.value = initial.title || '';
+    descEl.value = initial.description || '';
+    const WHEN_KEYS = ['date', 'start', 'end', 'allDay'];
+    function writeWhen(when) {
+      dateEl.value = when?.date || '';
+      startEl.value = when?.start || '';
+      endEl.value = when?.end || '';
+      allDayEl.checked = !!when?.allDay;
+    }
+    writeWhen(initial.when);
+    // Only the start date is written to the editor, and validateWhen needs end > start on
+    // one day, so events crossing midnight or spanning several days keep their date/time
+    const whenLocked = !!initial.when && initial.when.endDate !== initial.when.date;
+    function lockWhen() {
+      if (!whenLocked) return;
+      [dateEl, startEl, endEl, allDayEl].forEach(el => { el.disabled = true; });
+    }
+    wrap.querySelector('.when-note').classList.toggle('hidden', !whenLocked);
+    lockWhen();
+    locationEl.value = initial.location || '';
+    videoEl.value = initial.video || '';
+    // "Google Meet" (or just "meet") asks Calendar for a new Meet link on save
+    wrap.querySelector('.place .meet').addEventListener('click', () => {
+      videoEl.value = 'Google Meet';
+      refresh();
+    });
+
+    // Reminders: null until read from the full editor (Load) or replaced (Defaults)
+    const remList = wrap.querySelector('.rem-list');
+    const remState = wrap.querySelector('.rem-state');
+    let reminders = null;
+    const REMINDER_UNIT_NAMES = { minutes: 'min / 分', hours: 'hours / 時間', days: 'days / 日', weeks: 'weeks / 週' };
+    function renderReminders() {
+      remList.textContent = '';
+      for (const r of reminders || []) {
+        const li = document.createElement('li');
+        li.innerHTML = `
+          <select class="r-method" aria-label="Method / 方法"><option value="popup">Notification / 通知</option><option value="email">Email / メール</option></select>
+          <input type="number" class="r-value" min="0" max="999" aria-label="Amount / 数値" />
+          <select class="r-unit" aria-label="Unit / 単位"></select>
+          <span class="when-label">before / 前</span>
+          <button class="btn ghost r-remove" title="Remove / 削除">✕</button>`;
+        const unit = li.querySelector('.r-unit');
+        for (const [value, name] of Object.entries(REMINDER_UNIT_NAMES)) unit.add(new Option(name, value));
+        li.querySelector('.r-method').value = r.method;
+        li.querySelector('.r-value').value = String(r.value);
+        unit.value = r.unit;
+        remList.appendChild(li);
+      }
+    }
+    function readReminderRows() {
+      return globalThis.GPESettings.sanitizeReminders(Array.from(remList.children, li => ({
+        method: li.querySelector('.r-method').value,
+        value: Number(li.querySelector('.r-value').value),
+        unit: li.querySelector('.r-unit').value
+      })));
+    }
+    remList.addEventListener('change', () => { reminders = readReminderRows(); refresh(); });
+    remList.addEventListener('input', () => { reminders = readReminderRows(); refresh(); });
+    remList.addEventListener('click', (e) => {
+      const btn = e.target.closest('.r-remove');
+      if (!btn || btn.disabled) return;
+      btn.closest('li').remove();
+      reminders = readReminderRows();
+      refresh();
+    });
+    wrap.querySelector('.rem-head').addEventListener('click', (e) => {
+      const action = e.target.closest('button[data-rem]')?.dataset.rem;
+      if (!action) return;
+      if (action === 'defaults') reminders = settings.defaultReminders.map(r => ({ ...r }));
+      if (action === 'add' && reminders && reminders.length < 5) reminders = [...reminders, { method: 'popup', value: 10, unit: 'minutes' }];
+      renderReminders();
+      refresh();
+    });
+    function updateReminderControls() {
+      remState.textContent = reminders ? (reminders.length ? '' : 'none / なし') : 'not loaded / 未読込';
+      wrap.querySelector('button[data-rem="defaults"]').classList.toggle('hidden', !settings.defaultReminders.length);
+      wrap.querySelector('button[data-rem="add"]').classList.toggle('hidden', !reminders || reminders.length >= 5);
+    }
+
+    // Guests from the popup; entries not in the baseline are added on save, missing ones
+    // removed. The organizer can't be removed.
+    const guestListEl = wrap.querySelector('.guest-list');
+    const guestInput = wrap.querySelector('.gpe-guest');
+    const guestSuggestEl = wrap.querySelector('#gpe-guest-suggest');
+    let guests = [...(initial.guests || [])];
+    function renderGuests() {
+      const before = parseGuests(baseline.guests);
+      guestListEl.textContent = '';
+      for (const email of guests) {
+        const added = !before.includes(email);
+        const li = document.createElement('li');
+        li.classList.toggle('added', added);
+        li.innerHTML = '<span class="email"></span><span class="role"></span><button class="g-remove" title="Remove / 削除">✕</button>';
+        li.querySelector('.email').textContent = email;
+        li.querySelector('.email').title = email;
+        li.querySelector('.role').textContent = email === initial.organizer ? 'organizer / 主催者' : added ? 'new / 追加' : '';
+        li.querySelector('.g-remove').dataset.email = email;
+        li.querySelector('.g-remove').classList.toggle('hidden', email === initial.organizer);
+        guestListEl.appendChild(li);
+      }
+    }
+    // Several addresses may be typed at once, separated by commas or spaces
+    function addGuestsFromInput() {
+      const parts = guestInput.value.split(/[\s,;]+/).filter(Boolean);
+      if (!parts.length) return;
+      const bad = parts.filter(p => !EMAIL_RX.test(p));
+      for (const p of parts.map(p => p.toLowerCase())) {
+        if (EMAIL_RX.test(p) && !guests.includes(p)) guests.push(p);
+      }
+      guestInput.value = bad.join(', ');
+      ui.setStatus(bad.length ? `Not an email address: ${bad.join(', ')} / メールアドレスではありません` : '');
+      refresh();
+    }
+    guestInput.addEventListener('keydown', (e) => {
+      if (e.isComposing || e.keyCode === 229) return;
+      if (e.key === 'Enter' || e.key === ',') { e.preventDefault(); addGuestsFromInput(); }
+    });
+    // Suggestions: addresses seen in earlier popups, most recent first
+    guestInput.addEventListener('focus', () => {
+      guestSuggestEl.textContent = '';
+      for (const email of suggestGuestAddresses().filter(a => !guests.includes(a)).slice(0, 50)) guestSuggestEl.appendChild(new Option(email));
+    });
+    wrap.querySelector('.guests').addEventListener('click', (e) => {
+      const btn = e.target.closest('button');
+      if (!btn || btn.disabled) return;
+      if (btn.dataset.guest === 'add') addGuestsFromInput();
+      if (btn.dataset.email) guests = guests.filter(g => g !== btn.dataset.email);
+      refresh();
+    });
+
+    // Colour swatches: '' = unchanged (the popup doesn't tell the current colour)
+    let selectedColor = '';
+    for (const c of EVENT_COLORS) {
+      const btn = document.createElement('button');
+      btn.className = `swatch${c.id === 'default' ? ' default' : ''}`;
+      btn.dataset.color = c.id;
+      btn.style.setProperty('--sw', c.hex);
+      btn.title = c.name;
+      btn.setAttribute('aria-label', c.name);
+      colorsEl.appendChild(btn);
+    }
+    colorsEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-color]');
+      if (!btn || btn.disabled) return;
+      selectedColor = selectedColor === btn.dataset.color ? '' : btn.dataset.color;
+      refresh();
+    });
+    function updateSwatches() {
+      colorsEl.querySelectorAll('button').forEach(btn => btn.setAttribute('aria-pressed', String(btn.dataset.color === selectedColor)));
+    }
+
+    // Calendars listed in Calendar's sidebar; the event's own calendar is always an option
+    function writeCalendars(current, list = []) {
+      const names = [...new Set([current, ...list].filter(Boolean))];
+      calendarEl.textContent = '';
+      if (!current) calendarEl.add(new Option('—', ''));
+      for (const name of names) calendarEl.add(new Option(name, name));
+      calendarEl.value = current || '';
+      // Nothing to choose from: hide the row
+      calendarEl.closest('.scope').classList.toggle('hidden', names.length < 2);
+    }
+    writeCalendars(initial.calendar || '', initial.calendars);
+    wrap.querySelector('.scope.recurring').classList.toggle('hidden', !initial.recurring);
+    notifyEl.value = settings.updatePromptAction;
+    let notifyTouched = false;
+    notifyEl.addEventListener('change', () => { notifyTouched = true; });
 
     // Floating labels state
     const titleField = wrap.querySelector('.f-title');
+    const descField = wrap.querySelector('.f-desc');
     function updateFilled() {
       titleField.classList.toggle('filled', !!titleEl.value.trim());
+      descField.classList.toggle('filled', !!descEl.value.trim());
+      whenBox.classList.toggle('allday-on', allDayEl.checked);
     }
 
-    // Auto-grow textarea for long titles (default ~3 lines, up to ~12 lines)
-    function autoGrow(el) {
+    // Auto-grow textarea for long titles (default ~5 lines, up to ~16 lines)
+    function autoGrow(el, minLines = settings.titleMinLines, maxLines = settings.titleMaxLines, extraLines = settings.titleExtraLines) {
       const cs = getComputedStyle(el);
       const line = parseFloat(cs.lineHeight) || 18;
-      const min = TITLE_MIN_LINES * line + 24;  // min lines + padding
-      const max = TITLE_MAX_LINES * line + 24;  // max lines + padding
+      const min = minLines * line + 24;  // min lines + padding
+      const max = maxLines * line + 24;  // max lines + padding
       el.style.height = '0px';
       // Add breathing-space lines regardless of current content height
-      const target = el.scrollHeight + (TITLE_EXTRA_LINES * line);
+      const target = el.scrollHeight + (extraLines * line);
       const h = Math.max(min, Math.min(max, target));
       el.style.height = h + 'px';
     }
+    function growAll() {
+      autoGrow(titleEl);
+      autoGrow(descEl, DESC_MIN_LINES, DESC_MAX_LINES, DESC_EXTRA_LINES);
+    }
 
     // Dirty state tracking
-    const baseline = { title: titleEl.value };
-    function dirty() { return titleEl.value !== baseline.title; }
-    function updateDirty() { saveBtn.disabled = !dirty(); }
+    function readValues() {
+      return {
+        title: titleEl.value, description: descEl.value,
+        date: dateEl.value, start: startEl.value, end: endEl.value, allDay: allDayEl.checked,
+        color: selectedColor, calendar: calendarEl.value,
+        location: locationEl.value.trim(), video: videoEl.value.trim(),
+        guests: serializeGuests(guests), reminders: serializeReminders(reminders)
+      };
+    }
+    let baseline = readValues();
+    function dirty() {
+      const cur = readValues();
+      return Object.keys(baseline).some(k => cur[k] !== baseline[k]);
+    }
+    function updateDirty() { saveBtn.disabled = !dirty() && !settings.dryRun; }
+    function refresh() {
+      updateFilled(); updateDirty(); growAll(); updatePalettePressed(); updateSwatches(); renderGuests(); updateReminderControls();
+      // Dry-run mode turns Save into a rehearsal (see rehearseSave)
+      badgeEl.textContent = settings.dryRun ? 'dry run' : 'beta';
+      saveBtn.title = settings.dryRun ? 'Dry run — nothing is saved (Ctrl/Cmd+S)' : 'Save (Ctrl/Cmd+S)';
+    }
 
     // Wire inputs
-    ['input','change'].forEach(ev => titleEl.addEventListener(ev, () => { updateFilled(); updateDirty(); autoGrow(titleEl); }));
-    updateFilled(); autoGrow(titleEl); updateDirty();
+    ['input','change'].forEach(ev => {
+      [titleEl, descEl, dateEl, startEl, endEl, allDayEl, calendarEl, locationEl, videoEl].forEach(el => el.addEventListener(ev, refresh));
+    });
+    refresh();
 
     // Toggle show/hide
     toggleBtn.addEventListener('click', () => {
       const collapsed = !card.classList.contains('hidden');
       ui.setCollapsed(collapsed);
     });
-    ui.setCollapsed(false);
+    ui.setCollapsed(!!settings.startCollapsed);
 
-    // Toggle checkmark prefix button
-    checkBtn.addEventListener('click', () => {
-      const raw = titleEl.value || '';
-      const trimmedLeft = raw.replace(/^\s+/, '');
-      let next;
-      if (/^✅\s?/.test(trimmedLeft)) {
-        next = trimmedLeft.replace(/^✅\s?/, '');
-      } else {
-        next = '✅ ' + trimmedLeft;
+    // Prefix palette buttons (from settings; re-rendered on settings change)
+    function renderPalette() {
+      paletteEl.textContent = '';
+      if (settings.statusCycle.length) {
+        const btn = document.createElement('button');
+        btn.className = 'btn ghost status-cycle';
+        btn.dataset.statusCycle = '';
+        paletteEl.appendChild(btn);
+      }
+      settings.prefixPalette.forEach((entry, i) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn ghost';
+        btn.dataset.prefixIndex = String(i);
+        btn.textContent = entry.text;
+        btn.title = `タイトル先頭に「${entry.text}」を付ける/外す${entry.group ? `（${entry.group}）` : ''}${entry.shortcut ? ` (${entry.shortcut})` : ''}`;
+        paletteEl.appendChild(btn);
+      });
+      updatePalettePressed();
+    }
+    function updatePalettePressed() {
+      const { present } = parseTitlePrefixes(titleEl.value, settings.prefixPalette);
+      const statusBtn = paletteEl.querySelector('button[data-status-cycle]');
+      if (statusBtn) {
+        const cycle = settings.statusCycle;
+        const cur = titleStatus(titleEl.value, cycle, settings.prefixPalette);
+        const next = cycle[(cycle.indexOf(cur) + 1) % cycle.length];
+        statusBtn.textContent = `${cur || '—'} → ${next}`;
+        statusBtn.title = `状態を進める / Next task status: ${cycle.join(' → ')}${settings.statusShortcut ? ` (${settings.statusShortcut})` : ''}`;
       }
-      titleEl.value = next;
-      updateFilled(); updateDirty(); autoGrow(titleEl);
+      paletteEl.querySelectorAll('button[data-prefix-index]').forEach(btn => {
+        const entry = settings.prefixPalette[Number(btn.dataset.prefixIndex)];
+        btn.setAttribute('aria-pressed', String(!!entry && present.includes(entry.text)));
+      });
+    }
+    function applyPaletteEntry(entry) {
+      if (titleEl.disabled) return;
+      titleEl.value = togglePalettePrefix(titleEl.value, entry, settings.prefixPalette);
+      refresh();
+      try { titleEl.focus(); titleEl.setSelectionRange(titleEl.value.length, titleEl.value.length); } catch {}
+    }
+    function cycleStatus() {
+      if (titleEl.disabled || !settings.statusCycle.length) return;
+      titleEl.value = cycleStatusPrefix(titleEl.value, settings.statusCycle, settings.prefixPalette);
+      refresh();
       try { titleEl.focus(); titleEl.setSelectionRange(titleEl.value.length, titleEl.value.length); } catch {}
+    }
+    paletteEl.addEventListener('click', (e) => {
+      if (e.target.closest('button[data-status-cycle]')) { cycleStatus(); return; }
+      const btn = e.target.closest('button[data-prefix-index]');
+      const entry = btn && settings.prefixPalette[Number(btn.dataset.prefixIndex)];
+      if (entry) applyPaletteEntry(entry);
     });
+    renderPalette();
+
+    // Title suggestions (see src/titles.js): ↑/↓ pick, Enter/Tab accept, Esc closes.
+    // Enter only accepts a highlighted item, so Enter-to-save keeps working otherwise.
+    const suggestEl = wrap.querySelector('.suggest');
+    let suggestions = [];
+    let activeSuggestion = -1;
+    function renderSuggestions() {
+      suggestEl.textContent = '';
+      suggestEl.classList.toggle('hidden', !suggestions.length);
+      suggestions.forEach((text, i) => {
+        const li = document.createElement('li');
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', String(i === activeSuggestion));
+        li.dataset.index = String(i);
+        li.innerHTML = '<span class="text"></span><button class="exclude" tabindex="-1" title="Never suggest / 候補から除外">✕</button>';
+        li.querySelector('.text').textContent = text;
+        suggestEl.appendChild(li);
+      });
+    }
+    function updateSuggestions() {
+      const focused = shadow.activeElement === titleEl;
+      suggestions = settings.titleSuggestions && focused ? globalThis.GPETitles.suggest(titleIndex, titleEl.value) : [];
+      activeSuggestion = -1;
+      renderSuggestions();
+    }
+    function closeSuggestions() {
+      suggestions = [];
+      activeSuggestion = -1;
+      renderSuggestions();
+    }
+    function acceptSuggestion(i) {
+      titleEl.value = suggestions[i];
+      closeSuggestions();
+      refresh();
+      titleEl.setSelectionRange(titleEl.value.length, titleEl.value.length);
+    }
+    titleEl.addEventListener('input', updateSuggestions);
+    titleEl.addEventListener('blur', closeSuggestions);
+    suggestEl.addEventListener('mousedown', (e) => {
+      e.preventDefault(); // keep focus in the title
+      const li = e.target.closest('li[data-index]');
+      if (!li) return;
+      const i = Number(li.dataset.index);
+      if (e.target.closest('.exclude')) {
+        globalThis.GPETitles.exclude(suggestions[i]).catch(err => warn('title exclude failed', err));
+        suggestions.splice(i, 1);
+        activeSuggestion = -1;
+        renderSuggestions();
+      } else acceptSuggestion(i);
+    });
+    // Registered before the other keydown handlers so it can claim arrows/Enter/Esc first
+    shadow.addEventListener('keydown', (e) => {
+      if (!suggestions.length || e.target !== titleEl || e.isComposing || e.keyCode === 229) return;
+      const n = suggestions.length;
+      if (e.key === 'ArrowDown') activeSuggestion = (activeSuggestion + 1) % n;
+      else if (e.key === 'ArrowUp') activeSuggestion = activeSuggestion <= 0 ? n - 1 : activeSuggestion - 1;
+      else if ((e.key === 'Enter' || e.key === 'Tab') && activeSuggestion >= 0 && !e.shiftKey) { acceptSuggestion(activeSuggestion); }
+      else if (e.key === 'Escape') closeSuggestions();
+      else return;
+      e.preventDefault();
+      e.stopImmediatePropagation(); // neither Enter-to-save, card Esc nor Calendar sees it
+      renderSuggestions();
+    }, { capture: true });
 
     // Keyboard shortcuts within shadow
     shadow.addEventListener('keydown', (e) => {
@@ -366,17 +1334,20 @@
       if ((e.ctrlKey || e.metaKey) && key === 's') { e.preventDefault(); ui.trigger('save'); return; }
       if (e.key === 'Escape') { e.preventDefault(); ui.trigger('cancel'); return; }
       if (e.altKey && key === 'r') { e.preventDefault(); ui.trigger('reload'); return; }
+      if (settings.statusCycle.length && matchesShortcut(e, settings.statusShortcut)) { e.preventDefault(); cycleStatus(); return; }
+      const entry = settings.prefixPalette.find(p => matchesShortcut(e, p.shortcut));
+      if (entry) { e.preventDefault(); applyPaletteEntry(entry); return; }
       // Enter-to-save when editing title (no modifiers, not composing)
       if (!isIME && e.key === 'Enter' && !e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
         const inTitle = (shadow.activeElement === titleEl) || titleEl.contains(e.target);
-        if (inTitle && !saveBtn.disabled && !titleEl.disabled) { e.preventDefault(); ui.trigger('save'); }
+        if (inTitle && settings.enterToSave && !saveBtn.disabled && !titleEl.disabled) { e.preventDefault(); ui.trigger('save'); }
       }
     }, { capture: false });
 
-    // Prevent arrow keys from bubbling to Calendar when editing title
+    // Prevent arrow keys from bubbling to Calendar when editing any card field
     shadow.addEventListener('keydown', (e) => {
-      const inTitle = (shadow.activeElement === titleEl) || titleEl.contains(e.target);
-      if (!inTitle) return;
+      const inField = e.target instanceof Element && e.target.matches('.content input, .content textarea, .content select');
+      if (!inField) return;
       const code = e.key;
       if (!code) return;
       if (code.startsWith('Arrow') || code === 'Home' || code === 'End' || code === 'PageUp' || code === 'PageDown') {
@@ -395,92 +1366,587 @@
       log('Editor already present in this popup');
       return;
     }
+    // Bulk runs and reverts open popups programmatically; no card needed there
+    if (isAutomationBusy()) return;
 
     const initial = {
       title: extractTitleFromPopup(popup),
-      description: extractDescriptionFromPopup(popup)
+      description: extractDescriptionFromPopup(popup),
+      when: extractWhenFromPopup(popup),
+      calendar: extractCalendarFromPopup(popup),
+      calendars: listPageCalendars(),
+      recurring: isRecurringPopup(popup),
+      ...extractPlaceFromPopup(popup),
+      ...extractGuestsFromPopup(popup)
     };
+    const ownerKey = extractEventOwnerKey(popup);
+    const eventId = extractEventId(popup);
+    // A floating (pinned or detached) card for this event is still open, and may be
+    // reopening this popup to save
+    if (eventId && Array.from(document.querySelectorAll('.gpe-host.gpe-floating')).some(h => h.dataset.eventId === eventId)) {
+      log('Event already has a floating card');
+      return;
+    }
+    noteTitle(initial.title, 'seen');
+    noteGuestAddresses(initial.guests);
     const ui = createEditorUI(initial);
+    editorByHost.set(ui.host, ui);
+    if (eventId) ui.host.dataset.eventId = eventId;
+    if (settings.rememberNotifyChoice && ownerKey) {
+      loadNotifyPref(ownerKey).then(action => ui.setNotifyDefault(action));
+    }
 
     // Insert near the bottom of the popup content
     popup.appendChild(ui.host);
 
-    ui.on('reload', () => {
-      ui.title.value = extractTitleFromPopup(popup) || ui.title.value;
-      ui.setStatus('Reloaded from popup');
-      setTimeout(() => ui.setStatus(''), 1200);
-    });
+    // Drafts: edits are kept per event while typing, so a popup closed by a stray click,
+    // scroll or re-render doesn't lose them; the next card for the event offers them back
+    let draftTimer = null;
+    // While the restore offer is unanswered, edits go to the draft's pending slot so the
+    // offered draft isn't overwritten and the new edits survive a stray close too
+    let draftOffer = !!eventId;
+    function scheduleDraft() {
+      if (!eventId) return;
+      clearTimeout(draftTimer);
+      draftTimer = setTimeout(() => {
+        const pending = draftOffer;
+        if (ui.isDirty()) saveDraft(eventId, { values: ui.values(), baseline: ui.baseline() }, { pending });
+        else clearDraft(eventId, { pending });
+      }, DRAFT_SAVE_DELAY_MS);
+    }
+    function dropDraft() {
+      clearTimeout(draftTimer);
+      if (eventId) clearDraft(eventId, { pending: draftOffer });
+    }
+    ['input', 'change', 'click'].forEach(type => ui.root.addEventListener(type, scheduleDraft));
+    if (eventId) {
+      loadDraft(eventId).then(async (draft) => {
+        const cur = ui.values();
+        if (!draft || Object.keys(cur).every(k => draft.values[k] === cur[k])) { draftOffer = false; return; }
+        const restore = await ui.offerDraft(draft.t);
+        draftOffer = false;
+        if (!restore) {
+          // Keep what was typed while the offer was open
+          await clearDraft(eventId);
+          scheduleDraft();
+          return;
+        }
+        const v = draft.values;
+        ui.setValues({
+          title: v.title,
+          description: v.description,
+          when: { date: v.date, start: v.start, end: v.end, allDay: v.allDay },
+          color: v.color,
+          location: v.location,
+          video: v.video,
+          guests: v.guests,
+          reminders: v.reminders,
+          calendar: v.calendar || ui.values().calendar,
+          calendars: listPageCalendars()
+        });
+        ui.setStatus('Draft restored / 下書きを復元しました');
+        setTimeout(() => ui.setStatus(''), 1500);
+        scheduleDraft(); // replaces the pending slot with the restored values
+      });
+    }
 
-    ui.on('cancel', () => {
-      ui.host.remove();
+    // Pin: move the card into a floating panel that outlives the popup until saved or cancelled
+    let pinned = false;
+    ui.on('pin', () => {
+      pinned = !pinned;
+      ui.setPinned(pinned);
+      ui.host.classList.toggle('gpe-pinned', pinned);
+      if (pinned) {
+        ui.host.classList.add('gpe-floating');
+        document.body.appendChild(ui.host);
+      } else if (popup.isConnected && !saveRun) {
+        ui.host.classList.remove('gpe-floating');
+        popup.appendChild(ui.host);
+      }
+      ui.title.focus();
     });
 
-    ui.on('save', async () => {
+    // Reminders are only shown in the full editor: open it, read them, discard it
+    ui.on('load-reminders', async () => {
+      if (isAutomationBusy()) { ui.setStatus(BUSY_MESSAGE); return; }
+      const routeSnap = snapshotRoute();
+      const scrollSnap = snapshotCalendarScroll();
+      cardRuns.add(ui);
+      ui.setSaving(true);
+      ui.setStatus('Reading notifications… / 通知を読み込み中…');
       try {
-        ui.setSaving(true);
-        ui.setStatus('Opening editor…');
-        // Snapshot current route and scroll position(s)
-        const routeSnap = snapshotRoute();
-        const scrollSnap = snapshotCalendarScroll();
-        let editBtn = findEditButton(popup);
-        if (editBtn) {
-          editBtn.click();
-        } else {
-          // Fallback: try the keyboard shortcut 'e' to open editor
-          log('Edit button not found; trying keyboard fallback');
-          focusWithin(popup);
-          simulateKey('e');
-        }
+        const source = popup.isConnected ? popup : await openEventPopup(eventId);
+        await openFullEditor(source);
+        keepCardVisible();
+        const list = await waitFor(() => (findReminderRows().length || findLabelledButton(LABELS.reminderAdd)) && readRemindersFromEditor(),
+          { timeout: settings.fieldTimeoutMs });
+        ui.setReminders(list, { baseline: true });
+        ui.setStatus('');
+      } catch (e) {
+        warn('Reading reminders failed', e);
+        ui.setStatus(`Could not read notifications: ${e.message}`);
+      } finally {
+        if (findTitleInput()) await discardFullEditor();
+        keepCardVisible();
+        ui.setSaving(false);
+        cardRuns.delete(ui);
+        await restoreRouteSoft(routeSnap);
+        await restoreCalendarScrollWithRetries(scrollSnap);
+      }
+    });
+
+    ui.on('reload', () => {
+      if (!popup.isConnected) {
+        ui.setStatus('The popup is closed — open the event again to reload / ポップアップを開き直してください');
+        return;
+      }
+      ui.setValues({
+        title: extractTitleFromPopup(popup) || ui.title.value,
+        description: extractDescriptionFromPopup(popup),
+        when: extractWhenFromPopup(popup) || undefined,
+        calendar: extractCalendarFromPopup(popup),
+        calendars: listPageCalendars(),
+        ...extractPlaceFromPopup(popup),
+        guests: serializeGuests(extractGuestsFromPopup(popup).guests)
+      });
+      ui.setStatus('Reloaded from popup');
+      setTimeout(() => ui.setStatus(''), 1200);
+    });
 
-        // Wait for editor title field
-        const titleInput = await waitFor(() => findTitleInput(), { timeout: 20000 });
+    ui.on('history', () => openHistoryPanel({ eventId }));
+    ui.on('diagnose', () => openDiagnosticsPanel());
+    ui.on('create', () => openQuickCreatePanel());
 
-        ui.setStatus('Updating title…');
-        const normalizedTitle = (ui.title.value || '').replace(/[\r\n]+/g, ' ').replace(/\s{2,}/g, ' ').trim();
-        setTextInputValue(titleInput, normalizedTitle);
+    // Calendar may close the popup while the full editor is open; keep the card on screen
+    function keepCardVisible() {
+      if (ui.host.isConnected) return;
+      ui.host.classList.add('gpe-floating');
+      document.body.appendChild(ui.host);
+    }
 
-        // Save
-        ui.setStatus('Saving…');
-        const saveBtn = await waitFor(() => findSaveButton(), { timeout: 12000 });
-        triggerClick(saveBtn);
+    async function dryRun() {
+      // A save or another dry run would share the full editor with the rehearsal
+      if (isAutomationBusy()) { ui.setStatus(BUSY_MESSAGE); return; }
+      cardRuns.add(ui);
+      ui.setSaving(true);
+      ui.setStatus('Dry run: nothing will be typed or saved…');
+      let steps = [];
+      try {
+        await rehearseSave(popup, ui, (s) => { steps = s; ui.showReport(s); });
+      } catch (e) {
+        warn('Dry run failed', e);
+        steps = [...steps, { name: 'Dry run', status: 'error', detail: e.message }];
+      }
+      keepCardVisible();
+      ui.setSaving(false);
+      cardRuns.delete(ui);
+      ui.showReport(steps);
+      const bad = steps.filter(s => s.status === 'missing' || s.status === 'error').length;
+      ui.setStatus(bad ? `Dry run: ${bad} problem(s) / 問題 ${bad} 件` : 'Dry run OK — nothing was saved / 保存はしていません');
+    }
+    ui.on('dryrun', dryRun);
 
-        // Non-blocking: auto-accept "送信/Send" prompt if it appears shortly
-        const stopPromptWatch = armAutoSendUpdatesPrompt(6000);
+    // Active save run; Cancel aborts it (with rollback) instead of closing the card
+    let saveRun = null;
 
-        // Wait for Calendar to become idle (loading finished) with short timeout
-        await waitForCalendarIdle({ minQuietMs: 350, maxWaitMs: 12000 });
-        stopPromptWatch();
+    ui.on('cancel', () => {
+      if (saveRun) {
+        saveRun.abort();
+        ui.setStatus('Cancelling… / 中止しています…');
+        return;
+      }
+      // Cancelling on purpose throws the draft away too
+      dropDraft();
+      ui.host.remove();
+    });
 
-        // Restore route (date/view) if changed, then restore scroll — triggered by idle
-        ui.setStatus('Restoring view…');
-        await restoreRouteSoft(routeSnap);
+    // Save as explicit steps (see runSteps), each with its own timeout, retries and rollback
+    function cardSaveSteps() {
+      const notifyAction = ui.notify();
+      return [
+        {
+          id: 'open',
+          label: 'Open editor / 編集画面を開く',
+          timeoutMs: settings.openEditorTimeoutMs + 1000,
+          retries: 1,
+          async run(ctx, signal) {
+            if (findTitleInput()) { ctx.titleInput = findTitleInput(); return; }
+            // A pinned card can outlive its popup; open the event's popup again
+            const source = popup.isConnected ? popup : await openEventPopup(eventId, { signal });
+            ctx.titleInput = await openFullEditor(source, { signal });
+          },
+          // Never leave the full editor open with half-applied changes
+          async rollback(ctx) {
+            if (findTitleInput()) await discardFullEditor();
+            await restoreRouteSoft(ctx.routeSnap);
+          }
+        },
+        {
+          id: 'check',
+          label: 'Check for changes / 変更の確認',
+          timeoutMs: 0, // may wait for the user's choice
+          retries: 0,
+          async run(ctx, signal) {
+            // Someone else may have renamed the event since the popup opened
+            ctx.theirs = normalizeTitle(ctx.titleInput.value);
+            ctx.title = normalizeTitle(ui.title.value);
+            if (ctx.theirs === normalizeTitle(ui.baseline().title) || ctx.theirs === ctx.title) return;
+            ui.setStatus('Title changed in Calendar — choose a version / タイトルが変更されています');
+            const chosen = await ui.resolveConflict({ theirs: ctx.theirs, mine: ctx.title }, signal);
+            if (chosen == null) throw abortError('Save cancelled / 保存を中止しました');
+            ctx.title = chosen;
+            ui.title.value = chosen;
+            if (chosen === ctx.theirs && Object.keys(ui.values()).every(k => k === 'title' || !ui.isDirty(k))) {
+              ctx.keptTheirs = true;
+              throw abortError('Kept their title / 相手のタイトルを残しました');
+            }
+          }
+        },
+        {
+          id: 'fill',
+          label: 'Fill fields / 入力',
+          timeoutMs: settings.fieldTimeoutMs * 3,
+          retries: 1, // writing the same values again is harmless
+          async run(ctx, signal) {
+            if (ctx.title !== ctx.theirs) setTextInputValue(ctx.titleInput, ctx.title);
+            // Description is only touched when edited, so untouched rich formatting stays intact
+            if (ui.isDirty('description')) {
+              const descBox = await waitFor(() => findDescriptionBox(), { timeout: settings.fieldTimeoutMs, signal });
+              throwIfAborted(signal);
+              writeDescription(descBox, ui.description.value.replace(/\r\n?/g, '\n'));
+            }
+            if (ui.isDirty('when')) {
+              await applyWhenToEditor(ui.values(), {
+                date: ui.isDirty('date'), start: ui.isDirty('start'), end: ui.isDirty('end'), allDay: ui.isDirty('allDay')
+              }, signal);
+            }
+            if (ui.isDirty('color')) await applyEventColor(ui.values().color, signal);
+            if (ui.isDirty('calendar')) await applyEventCalendar(ui.values().calendar, signal);
+            if (ui.isDirty('location') || ui.isDirty('video')) {
+              await applyPlaceToEditor(ui.values(), { ...ui.baseline(), videoAttached: initial.videoAttached }, ui.isDirty('video'), signal);
+            }
+            if (ui.isDirty('guests')) {
+              const diff = diffGuests(ui.baseline().guests, ui.values().guests);
+              // Only a save that adds guests may confirm Calendar's "invite external guests" dialog
+              if (diff.add.length) ctx.inviteExternal = true;
+              await applyGuestsToEditor(diff, signal);
+            }
+            if (ui.isDirty('reminders')) await applyRemindersToEditor(parseReminders(ui.values().reminders), signal);
+          }
+        },
+        ...submitSteps({ notifyAction, scope: ui.scope() || 'this', onStatus: ui.setStatus }),
+        {
+          id: 'restore',
+          label: 'Restore view / 表示を復元',
+          timeoutMs: 8000,
+          retries: 0,
+          optional: true, // the event is saved by now
+          async run(ctx) {
+            if (settings.rememberNotifyChoice && ownerKey) rememberNotifyPref(ownerKey, notifyAction);
+            // History keeps the location as written to the editor (typed video links included)
+            const place = placeLocations(ui.values(), { ...ui.baseline(), videoAttached: initial.videoAttached }, ui.isDirty('video'));
+            recordHistory({
+              eventId, source: 'card',
+              before: { ...ui.baseline(), title: ctx.theirs, location: place.before },
+              after: { ...ui.values(), title: ctx.title, location: place.after }
+            });
+            noteTitle(ctx.title, 'saved');
+            noteGuestAddresses(diffGuests(ui.baseline().guests, ui.values().guests).add);
+            dropDraft();
 
-        // If route still differs (Calendar jumped to today), navigate back hard and restore via sessionStorage
-        const after = snapshotRoute();
-        if (after !== routeSnap) {
-          setPendingRestore({ url: routeSnap, primaryTop: scrollSnap.primaryTop, win: scrollSnap.win, t: Date.now() });
-          location.assign(routeSnap);
-          return; // further logic will run after navigation via attemptApplyPendingRestore()
+            // Restore route (date/view) if changed, then restore scroll — triggered by idle
+            await restoreRouteSoft(ctx.routeSnap);
+            // If route still differs (Calendar jumped to today), navigate back hard and restore via sessionStorage
+            if (snapshotRoute() !== ctx.routeSnap) {
+              setPendingRestore({ url: ctx.routeSnap, primaryTop: ctx.scrollSnap.primaryTop, win: ctx.scrollSnap.win, t: Date.now() });
+              ctx.navigating = true;
+              location.assign(ctx.routeSnap);
+              return; // further logic will run after navigation via attemptApplyPendingRestore()
+            }
+            // Same route → just do in-place scroll restore
+            await restoreCalendarScrollWithRetries(ctx.scrollSnap);
+            if (typeof ctx.scrollSnap.primaryTop === 'number') {
+              lockCalendarScroll(ctx.scrollSnap.primaryTop, 1400);
+            }
+          }
         }
+      ];
+    }
 
-        // Same route → just do in-place scroll restore
-        await restoreCalendarScrollWithRetries(scrollSnap);
-        if (typeof scrollSnap.primaryTop === 'number') {
-          lockCalendarScroll(scrollSnap.primaryTop, 1400);
-        }
+    ui.on('save', async () => {
+      if (settings.dryRun) { dryRun(); return; }
+      if (saveRun) return;
+      if (isAutomationBusy()) { ui.setStatus(BUSY_MESSAGE); return; }
+      const whenError = ui.isDirty('when') ? validateWhen(ui.values()) : '';
+      if (whenError) { ui.setStatus(whenError); return; }
+      // Snapshot current route and scroll position(s)
+      const ctx = { routeSnap: snapshotRoute(), scrollSnap: snapshotCalendarScroll() };
+      saveRun = new AbortController();
+      cardRuns.add(ui);
+      ui.setSaving(true);
+      try {
+        await runSteps(cardSaveSteps(), {
+          ctx,
+          signal: saveRun.signal,
+          onProgress(states) {
+            keepCardVisible(); // so Cancel stays reachable once the popup closes
+            ui.showReport(states);
+            const cur = states.find(s => s.status === 'running');
+            if (cur) ui.setStatus(`${cur.name}…`);
+          }
+        });
+        logSaveResult({ source: 'card', label: ctx.title, ok: true, message: 'Saved' });
+        if (ctx.navigating) return;
         ui.setSaving(false);
+        ui.showReport(null);
         ui.setStatus('Saved');
-        if (typeof ui.pulseCheck === 'function') ui.pulseCheck();
-        if (typeof ui.markSaved === 'function') ui.markSaved();
-        setTimeout(() => ui.setStatus(''), 1500);
+        ui.pulseCheck();
+        ui.markSaved();
+        setTimeout(() => {
+          ui.setStatus('');
+          if (ui.host.classList.contains('gpe-floating')) ui.host.remove();
+        }, 1500);
       } catch (e) {
-        warn('Save failed', e);
         ui.setSaving(false);
-        ui.setStatus(`Error: ${e.message}`);
+        let msg;
+        if (e.name !== 'AbortError') {
+          warn('Save failed', e);
+          msg = `${e.stepLabel || 'Save'} failed: ${e.message}${!ctx.committed && ctx.titleInput ? ' — editor discarded / 編集画面を破棄しました' : ''}`;
+        } else if (ctx.committed) {
+          msg = 'Cancelled after Save was clicked — the event may already be saved / 保存済みの可能性があります';
+        } else {
+          if (ctx.keptTheirs) { ui.markSaved(); ui.showReport(null); dropDraft(); }
+          msg = e.message === 'Cancelled' ? 'Cancelled / 中止しました' : e.message;
+        }
+        ui.setStatus(msg);
+        logSaveResult({ source: 'card', label: ctx.title || ui.title.value, ok: !!ctx.keptTheirs, message: msg });
+      } finally {
+        saveRun = null;
+        cardRuns.delete(ui);
+      }
+    });
+  }
+
+  // --- Full-editor automation shared by the card and bulk runs -------------
+  function normalizeTitle(text) {
+    return (text || '').replace(/[\r\n]+/g, ' ').replace(/\s{2,}/g, ' ').trim();
+  }
+
+  // The event's quick popup. One that is already showing is reused, since clicking the
+  // chip of the open popup again closes it. Another event's popup is closed first, and a
+  // popup that can't be matched to eventId fails rather than being edited.
+  async function openEventPopup(eventId, { signal } = {}) {
+    const own = () => findQuickPopupDialogs().find(p => extractEventId(p) === eventId);
+    if (eventId && own()) return own();
+    const chip = eventId && findEventChip(eventId);
+    if (!chip) throw new Error('Event not visible / 予定が表示されていません');
+    const other = findQuickPopupDialogs()[0];
+    if (other) {
+      focusWithin(other);
+      simulateKey('Escape');
+      await waitFor(() => !other.isConnected || !isVisible(other), { timeout: settings.fieldTimeoutMs, signal });
+    }
+    throwIfAborted(signal);
+    triggerClick(chip);
+    return waitFor(own, { timeout: settings.fieldTimeoutMs, signal })
+      .catch(e => { throw e.name === 'AbortError' ? e : new Error('The event\'s popup did not open / 予定のポップアップが開きません'); });
+  }
+
+  // Open the full editor from a quick popup; resolves with its title input
+  async function openFullEditor(popup, { signal } = {}) {
+    const editBtn = findEditButton(popup);
+    if (editBtn) {
+      editBtn.click();
+    } else {
+      // Fallback: try the keyboard shortcut 'e' to open editor
+      log('Edit button not found; trying keyboard fallback');
+      focusWithin(popup);
+      simulateKey('e');
+    }
+    return waitFor(() => findTitleInput(), { timeout: settings.openEditorTimeoutMs, signal });
+  }
+
+  // Steps after the fields are filled: click Save, answer the follow-up dialogs and
+  // wait until Calendar is idle again. ctx.committed is set once Save was clicked;
+  // ctx.notifyAction, when set by an earlier step, overrides notifyAction.
+  // inviteExternal (or ctx.inviteExternal): this save added guests, so the external-guest
+  // confirmation may be accepted; otherwise that dialog is left to the user
+  function submitSteps({ notifyAction = settings.updatePromptAction, scope = 'this', inviteExternal = false, onStatus = () => {} } = {}) {
+    const stopWatchers = (ctx) => { ctx.stopPromptWatch?.(); ctx.stopScopeWatch?.(); };
+    return [
+      {
+        id: 'save',
+        label: 'Click Save / 保存',
+        timeoutMs: settings.saveButtonTimeoutMs + 1000,
+        retries: 0, // a second click could save twice
+        async run(ctx, signal) {
+          const saveBtn = await waitFor(() => findSaveButton(), { timeout: settings.saveButtonTimeoutMs, signal });
+          triggerClick(saveBtn);
+          ctx.committed = true;
+          // Non-blocking: auto-answer the "送信/Send" prompt if it appears shortly
+          ctx.stopPromptWatch = armAutoSendUpdatesPrompt(settings.promptWatchMs, {
+            action: ctx.notifyAction || notifyAction,
+            inviteExternal: !!(ctx.inviteExternal || inviteExternal)
+          });
+          // Recurring events: answer the scope dialog. Armed for every save, since the popup
+          // may not show a recurrence summary; unknown series default to "this event" only.
+          ctx.stopScopeWatch = armRecurrenceScopePrompt(scope, settings.promptWatchMs);
+        },
+        rollback: stopWatchers
+      },
+      {
+        id: 'prompt',
+        label: 'Answer dialogs / ダイアログに応答',
+        timeoutMs: settings.idleTimeoutMs + ASK_PROMPT_TIMEOUT_MS,
+        retries: 0,
+        async run(ctx, signal) {
+          await waitForCalendarIdle({ minQuietMs: 350, maxWaitMs: settings.idleTimeoutMs, signal });
+          stopWatchers(ctx);
+          if (findRecurrenceScopeDialog()) throw new Error('Recurring event dialog was not answered');
+          // The prompt may show up after the watcher window, or wait for the user ("ask")
+          if (findUpdatePromptDialog()) {
+            const action = ctx.notifyAction || notifyAction;
+            onStatus(action === 'ask' ? 'Choose in Calendar\'s dialog…' : 'Answering update prompt…');
+            await settleUpdatePrompt(action, { inviteExternal: !!(ctx.inviteExternal || inviteExternal), onStatus, signal });
+          }
+        },
+        rollback: stopWatchers
+      },
+      {
+        id: 'idle',
+        label: 'Wait for Calendar / 読み込み待ち',
+        timeoutMs: settings.idleTimeoutMs + 1000,
+        retries: 0,
+        run: (ctx, signal) => waitForCalendarIdle({ minQuietMs: 350, maxWaitMs: settings.idleTimeoutMs, signal })
       }
+    ];
+  }
+
+  // Used by bulk runs and reverts, which discard the editor themselves on failure
+  async function submitFullEditor(opts = {}) {
+    await runSteps(submitSteps(opts));
+  }
+
+  // --- Step pipeline --------------------------------------------------------
+  // Step: { id, label, timeoutMs (0 = none), retries, run(ctx, signal), rollback?(ctx), optional? }
+  // On failure or abort the failed step and the completed ones are rolled back in
+  // reverse order; the error is rethrown with .step set. Optional steps only warn.
+  // run() gets a signal that also fires on the step's timeout; it must pass it to
+  // waitFor and check it between DOM writes (throwIfAborted).
+  const STEP_RETRY_DELAY_MS = 600;
+  const STEP_SETTLE_MS = 5000;
+  const ROLLBACK_TIMEOUT_MS = 10000;
+
+  function abortError(message = 'Cancelled') {
+    const e = new Error(message);
+    e.name = 'AbortError';
+    return e;
+  }
+
+  function throwIfAborted(signal) {
+    if (signal?.aborted) throw abortError();
+  }
+
+  function withTimeout(promise, ms, signal) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const onAbort = () => finish(reject, abortError());
+      const finish = (fn, v) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        fn(v);
+      };
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+      if (ms > 0) timer = setTimeout(() => finish(reject, new Error('Timeout')), ms);
+      promise.then(v => finish(resolve, v), e => finish(reject, e));
     });
   }
 
+  // onProgress receives [{ id, name, status, detail }] with status
+  // 'pending' | 'running' | 'ok' | 'error' | 'cancelled' | 'rolled back' | 'skipped'
+  async function runSteps(steps, { ctx = {}, signal, onProgress = () => {} } = {}) {
+    const states = steps.map(s => ({ id: s.id, name: s.label, status: 'pending', detail: '' }));
+    const report = () => onProgress(states.map(s => ({ ...s })));
+    const completed = [];
+    report();
+    for (const [i, step] of steps.entries()) {
+      const st = states[i];
+      for (let attempt = 0; ; attempt++) {
+        st.status = 'running';
+        st.detail = attempt ? `retry ${attempt}/${step.retries}` : '';
+        report();
+        const stepRun = new AbortController();
+        const relay = () => stepRun.abort();
+        signal?.addEventListener('abort', relay, { once: true });
+        const running = Promise.resolve().then(() => step.run(ctx, stepRun.signal));
+        try {
+          await withTimeout(running, step.timeoutMs, signal);
+          st.status = 'ok';
+          completed.push(i);
+          break;
+        } catch (e) {
+          // A timeout or Cancel only rejects the wrapper: stop the step and let it
+          // finish its current DOM write before retrying or rolling back
+          stepRun.abort();
+          await withTimeout(running.catch(() => {}), STEP_SETTLE_MS)
+            .catch(() => warn(`step ${step.id} did not stop`));
+          const aborted = e.name === 'AbortError' || !!signal?.aborted;
+          if (!aborted && attempt < (step.retries || 0)) {
+            log('step retry', step.id, e);
+            await delay(STEP_RETRY_DELAY_MS);
+            continue;
+          }
+          st.status = aborted ? 'cancelled' : 'error';
+          st.detail = e.message;
+          if (step.optional && !aborted) { warn(`step ${step.id} failed`, e); break; }
+          await rollbackSteps(steps, [i, ...completed.reverse()], ctx, states, report);
+          e.step = step.id;
+          e.stepLabel = step.label;
+          throw e;
+        } finally {
+          signal?.removeEventListener('abort', relay);
+        }
+      }
+      report();
+    }
+    return ctx;
+  }
+
+  async function rollbackSteps(steps, indices, ctx, states, report) {
+    for (const i of indices) {
+      const step = steps[i];
+      if (!step.rollback) continue;
+      try {
+        await withTimeout(Promise.resolve().then(() => step.rollback(ctx)), ROLLBACK_TIMEOUT_MS);
+        if (states[i].status === 'ok') states[i].status = 'rolled back';
+      } catch (e) {
+        warn(`rollback ${step.id} failed`, e);
+      }
+      report();
+    }
+    for (const st of states) if (st.status === 'pending') st.status = 'skipped';
+    report();
+  }
+
+  // Close the full editor without saving (used when a run fails midway)
+  async function discardFullEditor() {
+    const editor = findTitleInput();
+    if (!editor) return false;
+    const scope = queryClosestDialog(editor) || document;
+    const close = Array.from(scope.querySelectorAll('button, div[role="button"]')).filter(isVisible)
+      .find(b => matchesAny(b.getAttribute('aria-label') || b.getAttribute('data-tooltip') || b.textContent, LABELS.close));
+    if (close) triggerClick(close); else simulateKey('Escape');
+    // Calendar asks to confirm discarding unsaved changes
+    try {
+      const discardBtn = await waitFor(() => Array.from(document.querySelectorAll('button, div[role="button"]'))
+        .filter(isVisible).find(b => matchesAny(b.textContent, LABELS.discard)), { timeout: 1500 });
+      triggerClick(discardBtn);
+    } catch { /* closed without confirmation */ }
+    try { await waitFor(() => !findTitleInput(), { timeout: settings.fieldTimeoutMs }); } catch { return false; }
+    return true;
+  }
+
   function triggerClick(el) {
     el.focus();
     el.click();
@@ -499,6 +1965,127 @@
     el.focus();
   }
 
+  // --- Dry run: rehearse the save pipeline without typing or saving --------
+  const DRY_RUN_STEP_MS = 700;
+
+  // Run a finder and note which strategy matched (same trace as diagnostics)
+  function tracedFind(fn) {
+    finderTrace = [];
+    try {
+      const el = fn() || null;
+      return { el, strategy: finderTrace.join(' → ') };
+    } finally { finderTrace = null; }
+  }
+
+  function markDryRunTarget(el, n) {
+    if (!el) return;
+    el.setAttribute('data-gpe-dryrun', String(n));
+    try { el.scrollIntoView({ block: 'nearest' }); } catch {}
+  }
+
+  function clearDryRunMarks() {
+    document.querySelectorAll('[data-gpe-dryrun]').forEach(el => el.removeAttribute('data-gpe-dryrun'));
+  }
+
+  // Mirrors the card's save handler step by step. Elements are outlined on the page;
+  // nothing is typed and Save is never clicked. The editor is discarded at the end.
+  async function rehearseSave(popup, ui, onStep = () => {}) {
+    const steps = [];
+    const step = async (name, status, { el = null, strategy = '', note = '' } = {}) => {
+      const rec = { name, status, detail: [strategy, el ? describeTag(el) : '', note].filter(Boolean).join(' · ') };
+      steps.push(rec);
+      markDryRunTarget(el, steps.length);
+      onStep(steps);
+      if (el) await delay(DRY_RUN_STEP_MS);
+    };
+    const routeSnap = snapshotRoute();
+    const scrollSnap = snapshotCalendarScroll();
+    try {
+      const edit = tracedFind(() => findEditButton(popup));
+      await step('Edit button / 編集ボタン', edit.el ? 'ok' : 'missing', { ...edit, note: edit.el ? '' : 'keyboard fallback "e"' });
+
+      let titleInput = null;
+      try { titleInput = await openFullEditor(popup); } catch (e) { await step('Open editor / 編集画面を開く', 'error', { note: e.message }); }
+      if (!titleInput) return steps;
+      await step('Open editor / 編集画面を開く', 'ok');
+
+      const title = tracedFind(() => findTitleInput());
+      await step('Title input / タイトル欄', title.el ? 'ok' : 'missing', title);
+
+      if (ui.isDirty('description')) {
+        const desc = tracedFind(() => findDescriptionBox());
+        await step('Description box / 説明欄', desc.el ? 'ok' : 'missing', desc);
+      } else await step('Description box / 説明欄', 'skipped', { note: 'unchanged' });
+
+      if (ui.isDirty('when')) {
+        const v = ui.values();
+        const date = findLabelledControl(LABELS.startDate);
+        await step('Start date / 開始日', date ? 'ok' : 'missing', { el: date });
+        if (!v.allDay) {
+          const start = findLabelledControl(LABELS.startTime);
+          await step('Start time / 開始時刻', start ? 'ok' : 'missing', { el: start });
+          const end = findLabelledControl(LABELS.endTime);
+          await step('End time / 終了時刻', end ? 'ok' : 'missing', { el: end });
+        }
+        if (ui.isDirty('allDay')) {
+          const allDay = findAllDayCheckbox();
+          await step('All-day checkbox / 終日', allDay ? 'ok' : 'missing', { el: allDay });
+        }
+      } else await step('Date/time fields / 日時欄', 'skipped', { note: 'unchanged' });
+
+      if (ui.isDirty('color')) {
+        const colorBtn = findColorMenuButton();
+        await step('Colour menu / 色メニュー', colorBtn ? 'ok' : 'missing', { el: colorBtn, note: 'not opened' });
+      }
+      if (ui.isDirty('calendar')) {
+        const calSel = findCalendarSelector();
+        await step('Calendar selector / カレンダー選択', calSel ? 'ok' : 'missing', { el: calSel, note: 'not opened' });
+      }
+      if (ui.isDirty('location') || ui.isDirty('video')) {
+        const loc = findLocationInput();
+        await step('Location field / 場所欄', loc ? 'ok' : 'missing', { el: loc });
+      }
+      if (ui.isDirty('guests')) {
+        const input = findGuestInput();
+        await step('Guest field / ゲスト欄', input ? 'ok' : 'missing', { el: input });
+        for (const email of diffGuests(ui.baseline().guests, ui.values().guests).remove) {
+          const row = findEditorGuests().find(g => g.email === email);
+          await step(`Remove guest / ゲストを削除 (${email})`, row?.remove ? 'ok' : 'missing', { el: row?.remove || null, note: 'not clicked' });
+        }
+      }
+      if (ui.isDirty('reminders')) {
+        const add = findLabelledButton(LABELS.reminderAdd);
+        await step('Add notification / 通知を追加', add ? 'ok' : 'missing', { el: add, note: `${findReminderRows().length} row(s) now` });
+      }
+      if (ui.isDirty('video')) {
+        if (ui.baseline().video) {
+          const remove = findLabelledButton(LABELS.removeConference);
+          await step('Remove conference / 会議の削除', remove ? 'ok' : 'missing', { el: remove, note: 'not clicked' });
+        }
+        if (MEET_REQUEST_RX.test(ui.values().video)) {
+          const add = findLabelledButton(LABELS.addConference);
+          await step('Add Google Meet / Google Meet を追加', add ? 'ok' : 'missing', { el: add, note: 'not clicked' });
+        }
+      }
+
+      const save = tracedFind(() => findSaveButton());
+      await step('Save button / 保存ボタン', save.el ? 'ok' : 'missing', { ...save, note: 'not clicked' });
+
+      // Prompts only appear after Save; report any that are already open
+      const prompt = tracedFind(() => findUpdatePromptDialog() || findRecurrenceScopeDialog());
+      await step('Prompt dialog / 確認ダイアログ', prompt.el ? 'ok' : 'skipped', { ...prompt, note: prompt.el ? 'already open' : 'appears after Save' });
+    } finally {
+      if (findTitleInput()) {
+        const closed = await discardFullEditor();
+        await step('Discard editor / 編集画面を破棄', closed ? 'ok' : 'error', { note: closed ? '' : 'editor still open' });
+      }
+      await restoreRouteSoft(routeSnap);
+      await restoreCalendarScrollWithRetries(scrollSnap);
+      setTimeout(clearDryRunMarks, 4000);
+    }
+    return steps;
+  }
+
   // --- Scroll position snapshot/restore ------------------------------------
   function isScrollable(el) {
     if (!el || !(el instanceof HTMLElement)) return false;
@@ -550,18 +2137,13 @@
 
   // Calendar-specific primary scroller detection (handles overlay remount)
   function findCalendarScrollCandidates() {
-    const sels = [
-      'main',
-      '[role="main"]',
-      'div[aria-label*="Calendar" i]',
-      'div[aria-label*="カレンダー" i]',
-      'div[aria-label*="Main" i]',
-      'div[aria-label*="メイン" i]'
-    ];
-    const set = new Set();
-    for (const sel of sels) document.querySelectorAll(sel)?.forEach(el => set.add(el));
+    const set = new Set(document.querySelectorAll('main, [role="main"]'));
+    document.querySelectorAll('div[aria-label]').forEach(el => {
+      if (matchesAny(el.getAttribute('aria-label'), LABELS.calendarRegion)) set.add(el);
+    });
     const all = Array.from(set).filter(el => el instanceof HTMLElement && el.offsetParent !== null);
     const scrollables = all.filter(isScrollable);
+    traceFinder(scrollables.length ? 'labelled main/calendar region' : 'fallback: any scrollable div');
     // If none matched, consider any large scrollable in document
     const anyScrollables = scrollables.length ? scrollables : Array.from(document.querySelectorAll('div')).filter(isScrollable);
     return anyScrollables;
@@ -668,34 +2250,95 @@
   }
 
   function findUpdatePromptDialog() {
+    // Skip the full editor (has text fields) and the recurring scope dialog (has radios)
     const dlg = Array.from(document.querySelectorAll('div[role="dialog"], div[role="region"]'))
-      .find(d => d.offsetParent !== null && /update|send|guest|更新|送信|ゲスト/i.test(d.textContent || ''));
+      .find(d => d.offsetParent !== null
+        && !d.querySelector('input[type="text"], textarea, [contenteditable="true"], [role="radio"], input[type="radio"]')
+        && matchesAny(d.textContent, LABELS.updatePrompt));
     return dlg || null;
   }
 
-  function chooseInDialog(dlg, prefs = { action: 'send' }) {
+  const SCOPE_LABELS = { this: 'scopeThis', following: 'scopeFollowing', all: 'scopeAll' };
+
+  function radioLabelText(radio) {
+    return (controlLabelText(radio) || radio.parentElement?.textContent || '').trim();
+  }
+
+  function findRecurrenceScopeDialog() {
+    const all = [...LABELS.scopeThis, ...LABELS.scopeFollowing, ...LABELS.scopeAll];
+    return Array.from(document.querySelectorAll('div[role="dialog"], div[role="alertdialog"]'))
+      .filter(isVisible)
+      .find(d => Array.from(d.querySelectorAll('[role="radio"], input[type="radio"]')).some(r => matchesAny(radioLabelText(r), all))) || null;
+  }
+
+  // Select the scope radio and confirm; returns true once OK was clicked
+  function chooseRecurrenceScope(dlg, scope) {
+    const labels = LABELS[SCOPE_LABELS[scope] || 'scopeThis'];
+    const radio = Array.from(dlg.querySelectorAll('[role="radio"], input[type="radio"]'))
+      .find(r => matchesAny(radioLabelText(r), labels));
+    if (!radio) return false;
+    if (!isChecked(radio)) triggerClick(radio);
     const buttons = Array.from(dlg.querySelectorAll('button, div[role="button"]')).filter(isVisible);
-    const byText = (rxList) => buttons.find(b => rxList.some(rx => rx.test((b.textContent || '').trim())));
+    const ok = buttons.find(b => matchesAny(b.textContent, LABELS.ok) || matchesAny(b.getAttribute('aria-label'), LABELS.ok))
+      || buttons.find(b => b.getAttribute('data-mdc-dialog-action') === 'ok' || b.getAttribute('data-mdc-dialog-action') === 'accept');
+    if (!ok) return false;
+    triggerClick(ok);
+    return true;
+  }
+
+  // Non-blocking watcher for the recurring scope dialog, same shape as armAutoSendUpdatesPrompt
+  function armRecurrenceScopePrompt(scope, durationMs = 6000) {
+    let answered = null;
+    const check = () => {
+      const dlg = findRecurrenceScopeDialog();
+      if (!dlg || dlg === answered) return;
+      if (chooseRecurrenceScope(dlg, scope)) answered = dlg;
+    };
+    const mo = new MutationObserver(check);
+    try { mo.observe(document.body, { childList: true, subtree: true }); } catch {}
+    check();
+    const timer = setTimeout(() => mo.disconnect(), durationMs);
+    return () => { clearTimeout(timer); mo.disconnect(); };
+  }
+
+  function dialogButtons(dlg) {
+    return Array.from(dlg.querySelectorAll('button, div[role="button"]')).filter(isVisible);
+  }
+
+  // Calendar's "invite guests outside your organisation?" confirmation
+  function isExternalGuestDialog(dlg) {
+    return dialogButtons(dlg).some(b => matchesAny(b.textContent, LABELS.inviteExternal));
+  }
+
+  // prefs: { action, inviteExternal }. The external-guest confirmation is only accepted when
+  // this save added guests (inviteExternal); otherwise null leaves it to the user.
+  function chooseInDialog(dlg, prefs = { action: 'send' }) {
+    const buttons = dialogButtons(dlg);
+    const byText = (rxList) => buttons.find(b => matchesAny(b.textContent, rxList));
+    if (isExternalGuestDialog(dlg)) {
+      return prefs.inviteExternal && prefs.action !== 'ask' ? byText(LABELS.inviteExternal) : null;
+    }
     if (prefs.action === 'send') {
-      const btn = byText([/^send$/i, /^送信$/, /^更新を送信/, /^ゲストに送信/]);
+      const btn = byText(LABELS.send);
       if (btn) return btn;
     }
     if (prefs.action === 'dontsend') {
-      const btn = byText([/don't\s*send/i, /^送信しない$/]);
+      const btn = byText(LABELS.dontSend);
       if (btn) return btn;
     }
+    if (prefs.action === 'ask') return null;
     // Fallback: primary-looking button
     return buttons.find(b => b.getAttribute('data-mdc-dialog-action') === 'accept') || buttons[0] || null;
   }
 
-  async function handleUpdatePromptPreferSend({ timeout = 8000 } = {}) {
+  async function handleUpdatePrompt({ timeout = 8000, action = settings.updatePromptAction, inviteExternal = false } = {}) {
     // Wait briefly for the prompt to appear
     let dlg = null;
     try {
       dlg = await waitFor(() => findUpdatePromptDialog(), { timeout, interval: 150 });
     } catch { /* none */ }
     if (!dlg) return false;
-    const btn = chooseInDialog(dlg, { action: 'send' });
+    const btn = chooseInDialog(dlg, { action, inviteExternal });
     if (btn) {
       triggerClick(btn);
       // Wait for the dialog to close
@@ -705,12 +2348,13 @@
     return false;
   }
 
-  // Non-blocking watcher: auto-click "送信/Send" if the prompt appears
-  function armAutoSendUpdatesPrompt(durationMs = 6000) {
+  // Non-blocking watcher: auto-click "送信/Send" (or "送信しない") if the prompt appears
+  function armAutoSendUpdatesPrompt(durationMs = 6000, prefs = { action: settings.updatePromptAction }) {
+    if (prefs.action === 'ask') return () => {}; // the user answers it
     const mo = new MutationObserver(() => {
       const dlg = findUpdatePromptDialog();
       if (!dlg) return;
-      const btn = chooseInDialog(dlg, { action: 'send' });
+      const btn = chooseInDialog(dlg, prefs);
       if (btn) triggerClick(btn);
     });
     try { mo.observe(document.body, { childList: true, subtree: true }); } catch {}
@@ -718,10 +2362,110 @@
     return () => { clearTimeout(timer); mo.disconnect(); };
   }
 
+  // Resolve a prompt that is still open after the save: click per action, or wait for the user
+  const ASK_PROMPT_TIMEOUT_MS = 120000;
+  async function settleUpdatePrompt(action, { inviteExternal = false, onStatus = () => {}, signal } = {}) {
+    let settled = false;
+    // Guest changes can chain dialogs (invite external guests, then send invitations)
+    for (let n = 0; n < 3; n++) {
+      const dlg = findUpdatePromptDialog();
+      if (!dlg) break;
+      const external = isExternalGuestDialog(dlg) && !inviteExternal;
+      throwIfAborted(signal);
+      if (action === 'ask' || external) {
+        if (external) onStatus('Confirm the external guests in Calendar\'s dialog… / 組織外ゲストの確認はカレンダーのダイアログで選んでください');
+        await waitFor(() => !dlg.isConnected || dlg.offsetParent === null, { timeout: ASK_PROMPT_TIMEOUT_MS, interval: 250, signal });
+      } else if (!(await handleUpdatePrompt({ timeout: 1000, action, inviteExternal }))) {
+        throw new Error('Update prompt could not be answered');
+      }
+      settled = true;
+      await delay(300);
+    }
+    return settled;
+  }
+
+  // --- Per-organizer/calendar notify preference (chrome.storage.local) ----
+  const NOTIFY_PREFS_KEY = 'gpe:notifyPrefs';
+  const NOTIFY_PREFS_MAX = 200;
+
+  async function loadNotifyPref(key) {
+    try {
+      const all = (await chrome.storage.local.get(NOTIFY_PREFS_KEY))[NOTIFY_PREFS_KEY] || {};
+      return all[key]?.action || null;
+    } catch { return null; }
+  }
+
+  // Writes run one at a time so two saves don't drop each other's choice
+  let notifyPrefsQueue = Promise.resolve();
+  function rememberNotifyPref(key, action) {
+    notifyPrefsQueue = notifyPrefsQueue.then(async () => {
+      const all = (await chrome.storage.local.get(NOTIFY_PREFS_KEY))[NOTIFY_PREFS_KEY] || {};
+      all[key] = { action, t: Date.now() };
+      // Keep the most recently used entries only
+      const keep = Object.entries(all).sort((a, b) => b[1].t - a[1].t).slice(0, NOTIFY_PREFS_MAX);
+      await chrome.storage.local.set({ [NOTIFY_PREFS_KEY]: Object.fromEntries(keep) });
+    }).catch(e => warn('notify pref save failed', e));
+    return notifyPrefsQueue;
+  }
+
+  // --- Unsaved card drafts per event (chrome.storage.local) ----------------
+  const DRAFTS_KEY = 'gpe:drafts';
+  const DRAFTS_MAX = 50;
+  const DRAFT_SAVE_DELAY_MS = 500;
+
+  // Reads all drafts, dropping the ones older than settings.draftTtlHours
+  async function readDrafts() {
+    const all = (await chrome.storage.local.get(DRAFTS_KEY))[DRAFTS_KEY] || {};
+    const cutoff = Date.now() - settings.draftTtlHours * 3600000;
+    return Object.fromEntries(Object.entries(all).filter(([, d]) => d?.t > cutoff && d.values));
+  }
+
+  // Edits typed while a restore offer was open are the newest work, so they are offered next time
+  async function loadDraft(eventId) {
+    try {
+      const d = (await readDrafts())[eventId];
+      return d?.pending || d || null;
+    } catch { return null; }
+  }
+
+  // Read-modify-write of the drafts map, one at a time so cards don't drop each other's drafts.
+  // fn(all) edits the map in place; returning false skips the write.
+  let draftsQueue = Promise.resolve();
+  function updateDrafts(fn) {
+    const run = draftsQueue.then(async () => {
+      const all = await readDrafts();
+      if (fn(all) === false) return;
+      const keep = Object.entries(all).sort((a, b) => b[1].t - a[1].t).slice(0, DRAFTS_MAX);
+      await chrome.storage.local.set({ [DRAFTS_KEY]: Object.fromEntries(keep) });
+    });
+    draftsQueue = run.catch(() => {});
+    return run;
+  }
+
+  // pending: store beside the draft on offer instead of replacing it
+  async function saveDraft(eventId, { values, baseline }, { pending = false } = {}) {
+    try {
+      await updateDrafts(all => {
+        const draft = { values, baseline, t: Date.now() };
+        all[eventId] = pending && all[eventId] ? { ...all[eventId], pending: draft } : draft;
+      });
+    } catch (e) { warn('draft save failed', e); }
+  }
+
+  async function clearDraft(eventId, { pending = false } = {}) {
+    try {
+      await updateDrafts(all => {
+        if (!all[eventId] || (pending && !all[eventId].pending)) return false;
+        if (pending) delete all[eventId].pending;
+        else delete all[eventId];
+      });
+    } catch (e) { warn('draft clear failed', e); }
+  }
+
   function findToastElement() {
     // Look for aria-live alerts, often contain "Undo/元に戻す" or "Saved/保存"
     const cands = Array.from(document.querySelectorAll('[aria-live="polite"], [aria-live="assertive"], [role="alert"]')).filter(isVisible);
-    return cands.find(el => /undo|saved|updated|保存|更新|元に戻す/i.test(el.textContent || '')) || null;
+    return cands.find(el => matchesAny(el.textContent, LABELS.toast)) || null;
   }
 
   async function waitForSavedToast({ timeout = 15000 } = {}) {
@@ -741,13 +2485,14 @@
     return bars.find(el => el.getBoundingClientRect().width > 20 || el.getBoundingClientRect().height > 6) || null;
   }
 
-  async function waitForCalendarIdle({ minQuietMs = 400, maxWaitMs = 12000 } = {}) {
+  async function waitForCalendarIdle({ minQuietMs = 400, maxWaitMs = 12000, signal } = {}) {
     let last = Date.now();
     const mo = new MutationObserver(() => { last = Date.now(); });
     try { mo.observe(document.body, { childList: true, subtree: true, attributes: true, characterData: false }); } catch {}
     const start = Date.now();
     try {
       while (Date.now() - start < maxWaitMs) {
+        throwIfAborted(signal);
         const busy = isAnyDialogOpen() || !!findVisibleProgressIndicator();
         const quietEnough = (Date.now() - last) >= minQuietMs;
         if (!busy && quietEnough) { mo.disconnect(); return true; }
@@ -762,11 +2507,13 @@
     const all = Array.from(document.querySelectorAll('input[aria-label], input[placeholder]'))
       .filter(isVisible);
     let m = all.find(el => matchesAny(el.getAttribute('aria-label'), LABELS.title));
-    if (m) return m;
+    if (m) { traceFinder('aria-label'); return m; }
     m = all.find(el => matchesAny(el.getAttribute('placeholder'), LABELS.title));
-    if (m) return m;
+    if (m) { traceFinder('placeholder'); return m; }
     // Fallback: first text input inside an open editor dialog
-    return all.find(el => el.type === 'text' && queryClosestDialog(el));
+    m = all.find(el => el.type === 'text' && queryClosestDialog(el));
+    if (m) traceFinder('fallback: first text input in a dialog');
+    return m;
   }
 
   function findDescriptionBox() {
@@ -776,44 +2523,2227 @@
       ...document.querySelectorAll('textarea[aria-label], textarea[placeholder]')
     ].filter(isVisible);
     let match = cands.find(el => matchesAny(el.getAttribute('aria-label'), LABELS.description));
-    if (match) return match;
+    if (match) { traceFinder('aria-label'); return match; }
     match = cands.find(el => matchesAny(el.getAttribute('placeholder'), LABELS.description));
-    if (match) return match;
+    if (match) { traceFinder('placeholder'); return match; }
     // Fallback: editable area with longest text
-    return cands.sort((a, b) => (b.textContent?.length || b.value?.length || 0) - (a.textContent?.length || a.value?.length || 0))[0] || null;
+    match = cands.sort((a, b) => (b.textContent?.length || b.value?.length || 0) - (a.textContent?.length || a.value?.length || 0))[0] || null;
+    if (match) traceFinder('fallback: longest editable area');
+    return match;
+  }
+
+  // Accessible name of a form control: aria-label, <label>, aria-labelledby or wrapping label
+  function controlLabelText(el) {
+    const aria = el.getAttribute('aria-label');
+    if (aria) return aria;
+    const lbl = el.labels?.[0] || el.closest('label');
+    if (lbl) return lbl.textContent || '';
+    const ids = (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+    return ids.map(id => document.getElementById(id)?.textContent || '').join(' ');
+  }
+
+  function findLabelledControl(labels, selector = 'input, [role="combobox"], [role="button"]') {
+    const cands = Array.from(document.querySelectorAll(selector)).filter(isVisible);
+    return cands.find(el => matchesAny(controlLabelText(el), labels))
+      || cands.find(el => matchesAny(el.getAttribute('placeholder'), labels))
+      || null;
+  }
+
+  // Button by aria-label, else by its text
+  function findLabelledButton(labels, root = document) {
+    return Array.from(root.querySelectorAll('button, [role="button"]'))
+      .filter(el => isVisible(el) && !el.closest('.gpe-host'))
+      .find(el => matchesAny(el.getAttribute('aria-label') || (el.textContent || '').trim(), labels)) || null;
+  }
+
+  function findAllDayCheckbox() {
+    return findLabelledControl(LABELS.allDay, 'input[type="checkbox"], [role="checkbox"]');
+  }
+
+  function isChecked(el) {
+    return el instanceof HTMLInputElement ? el.checked : el.getAttribute('aria-checked') === 'true';
+  }
+
+  function controlText(el) {
+    return el instanceof HTMLInputElement ? el.value : (el.textContent || '').trim();
+  }
+
+  function validateWhen(v) {
+    if (!v.date) return 'Date is required / 日付を入力してください';
+    if (!v.allDay && (!v.start || !v.end)) return 'Start and end time are required / 開始・終了時刻を入力してください';
+    if (!v.allDay && `${v.endDate || v.date} ${v.end}` <= `${v.date} ${v.start}`) return 'End must be after start / 終了は開始より後にしてください';
+    return '';
+  }
+
+  // Write a date into the editor's date field, then verify Calendar accepted it
+  async function setEditorDate(labels, ymd, signal) {
+    const el = await waitFor(() => findLabelledControl(labels, 'input'), { timeout: settings.fieldTimeoutMs, signal });
+    throwIfAborted(signal);
+    commitTextInput(el, formatDateLike(el.value, ymd));
+    await delay(150);
+    const got = findDatesInText(el.value, new Date(ymd.replace(/-/g, '/')))[0];
+    if (!got || got.ymd !== ymd) throw new Error(`Date not accepted: ${el.value}`);
+  }
+
+  // Time fields are plain inputs in some layouts and comboboxes with a listbox in others
+  async function setEditorTime(labels, hm, signal) {
+    const el = await waitFor(() => findLabelledControl(labels), { timeout: settings.fieldTimeoutMs, signal });
+    const sample = controlText(el);
+    throwIfAborted(signal);
+    if (el instanceof HTMLInputElement) {
+      commitTextInput(el, formatTimeLike(sample, hm));
+    } else {
+      triggerClick(el);
+      const opt = await waitFor(() => Array.from(document.querySelectorAll('[role="option"]'))
+        .filter(isVisible)
+        .find(o => parseTimeRange((o.textContent || '').split(/[(（]/)[0]).start === hm), { timeout: settings.fieldTimeoutMs, signal })
+        .catch(e => { simulateKey('Escape'); throw e; });
+      triggerClick(opt);
+    }
+    await delay(150);
+    const now = await waitFor(() => findLabelledControl(labels), { timeout: settings.fieldTimeoutMs });
+    if (parseTimeRange(controlText(now)).start !== hm) throw new Error(`Time not accepted: ${controlText(now)}`);
+  }
+
+  // Apply the card's date/time to the full editor. Order matters: Calendar keeps the
+  // duration when the start moves, so the end date and time are written after the start.
+  // changed.endDate: write v.endDate too (quick create, for events ending after midnight)
+  async function applyWhenToEditor(v, changed, signal) {
+    if (changed.allDay) {
+      const box = await waitFor(() => findAllDayCheckbox(), { timeout: settings.fieldTimeoutMs, signal });
+      throwIfAborted(signal);
+      if (isChecked(box) !== v.allDay) triggerClick(box);
+      await delay(200);
+    }
+    if (changed.date) await setEditorDate(LABELS.startDate, v.date, signal);
+    if (v.allDay) return;
+    // Leaving all-day mode gives default times, so write both in that case
+    if (changed.start || changed.allDay) await setEditorTime(LABELS.startTime, v.start, signal);
+    if (changed.endDate) await setEditorDate(LABELS.endDate, v.endDate, signal);
+    if (changed.end || changed.start || changed.allDay) await setEditorTime(LABELS.endTime, v.end, signal);
+  }
+
+  // Calendar's fixed event palette; names are matched through LABELS[key]
+  const EVENT_COLORS = [
+    { id: 'default', key: 'colorDefault', hex: '', name: 'Calendar colour / カレンダーの色' },
+    { id: 'tomato', key: 'colorTomato', hex: '#d50000', name: 'Tomato / トマト' },
+    { id: 'flamingo', key: 'colorFlamingo', hex: '#e67c73', name: 'Flamingo / フラミンゴ' },
+    { id: 'tangerine', key: 'colorTangerine', hex: '#f4511e', name: 'Tangerine / ミカン' },
+    { id: 'banana', key: 'colorBanana', hex: '#f6bf26', name: 'Banana / バナナ' },
+    { id: 'sage', key: 'colorSage', hex: '#33b679', name: 'Sage / セージ' },
+    { id: 'basil', key: 'colorBasil', hex: '#0b8043', name: 'Basil / バジル' },
+    { id: 'peacock', key: 'colorPeacock', hex: '#039be5', name: 'Peacock / ピーコック' },
+    { id: 'blueberry', key: 'colorBlueberry', hex: '#3f51b5', name: 'Blueberry / ブルーベリー' },
+    { id: 'lavender', key: 'colorLavender', hex: '#7986cb', name: 'Lavender / ラベンダー' },
+    { id: 'grape', key: 'colorGrape', hex: '#8e24aa', name: 'Grape / ブドウ' },
+    { id: 'graphite', key: 'colorGraphite', hex: '#616161', name: 'Graphite / グラファイト' }
+  ];
+
+  function findColorMenuButton() {
+    return findLabelledControl(LABELS.colorMenu, 'button, [role="button"], [role="combobox"], [role="listbox"]');
+  }
+
+  function findCalendarSelector() {
+    return findLabelledControl(LABELS.calendarSelect, 'select, [role="combobox"], [role="listbox"], [role="button"]');
+  }
+
+  function optionText(el) {
+    return (el.getAttribute('aria-label') || el.getAttribute('data-tooltip') || el.innerText || el.textContent || '').trim();
+  }
+
+  // Open the colour menu and pick the entry; the menu closes by itself
+  async function applyEventColor(id, signal) {
+    const color = EVENT_COLORS.find(c => c.id === id);
+    if (!color) return;
+    const btn = await waitFor(() => findColorMenuButton(), { timeout: settings.fieldTimeoutMs, signal });
+    throwIfAborted(signal);
+    triggerClick(btn);
+    let opt;
+    try {
+      opt = await waitFor(() => Array.from(document.querySelectorAll('[role="menuitemradio"], [role="menuitem"], [role="radio"], [role="option"]'))
+        .filter(isVisible).find(o => matchesAny(optionText(o), LABELS[color.key])), { timeout: settings.fieldTimeoutMs, signal });
+    } catch (e) {
+      simulateKey('Escape');
+      throw e.name === 'AbortError' ? e : new Error(`Colour not found in the menu: ${color.name}`);
+    }
+    triggerClick(opt);
+    await delay(150);
+  }
+
+  // Pick a calendar in the full editor's selector (native <select> or listbox)
+  async function applyEventCalendar(name, signal) {
+    if (!name) return;
+    const same = (text) => {
+      const first = (text || '').split('\n')[0].trim().toLowerCase();
+      return first === name.toLowerCase();
+    };
+    const sel = await waitFor(() => findCalendarSelector(), { timeout: settings.fieldTimeoutMs, signal });
+    throwIfAborted(signal);
+    if (sel instanceof HTMLSelectElement) {
+      const opt = Array.from(sel.options).find(o => same(o.textContent));
+      if (!opt) throw new Error(`Calendar not available: ${name}`);
+      sel.value = opt.value;
+      sel.dispatchEvent(new Event('change', { bubbles: true }));
+    } else {
+      triggerClick(sel);
+      let opt;
+      try {
+        opt = await waitFor(() => Array.from(document.querySelectorAll('[role="option"]'))
+          .filter(isVisible).find(o => same(o.innerText || o.textContent)), { timeout: settings.fieldTimeoutMs, signal });
+      } catch (e) {
+        simulateKey('Escape');
+        throw e.name === 'AbortError' ? e : new Error(`Calendar not available: ${name}`);
+      }
+      triggerClick(opt);
+    }
+    await delay(150);
+    const now = findCalendarSelector();
+    if (now && !controlText(now).toLowerCase().includes(name.toLowerCase()) && !(now instanceof HTMLSelectElement)) {
+      throw new Error(`Calendar not accepted: ${controlText(now)}`);
+    }
+  }
+
+  // --- Location and conferencing ------------------------------------------
+  const MEET_REQUEST_RX = /^(google\s*)?meet$/i;
+
+  function findLocationInput() {
+    return findLabelledControl(LABELS.location, 'input, textarea');
+  }
+
+  // Location field text before/after a save. A typed video link (not a "Google Meet"
+  // request) has no conferencing slot of its own, so it is kept in the location.
+  function placeLocations(v, before, videoChanged) {
+    const compose = (location, video, attached) => [location, !attached && !MEET_REQUEST_RX.test(video) ? video : '']
+      .filter(Boolean).join(' ');
+    const attachedAfter = videoChanged ? MEET_REQUEST_RX.test(v.video) : before.videoAttached;
+    return {
+      before: compose(before.location, before.video, before.videoAttached),
+      after: compose(v.location, v.video, attachedAfter)
+    };
+  }
+
+  // Write location and video link into the full editor: the conferencing attachment is
+  // removed when the link changes, and a new Meet is added for a "Google Meet" request
+  async function applyPlaceToEditor(v, before, videoChanged, signal) {
+    const notFound = (message) => (e) => { throw e.name === 'AbortError' ? e : new Error(message); };
+    if (videoChanged && before.videoAttached) {
+      const remove = await waitFor(() => findLabelledButton(LABELS.removeConference), { timeout: settings.fieldTimeoutMs, signal })
+        .catch(notFound('Remove-conference button not found / 会議の削除ボタンが見つかりません'));
+      throwIfAborted(signal);
+      triggerClick(remove);
+      await delay(200);
+    }
+    if (videoChanged && MEET_REQUEST_RX.test(v.video)) {
+      const add = await waitFor(() => findLabelledButton(LABELS.addConference), { timeout: settings.fieldTimeoutMs, signal })
+        .catch(notFound('Add Google Meet button not found / Google Meet の追加ボタンが見つかりません'));
+      throwIfAborted(signal);
+      triggerClick(add);
+      // Calendar swaps the add button for the attachment (with its remove button)
+      await waitFor(() => findLabelledButton(LABELS.removeConference), { timeout: settings.fieldTimeoutMs, signal });
+    }
+    const place = placeLocations(v, before, videoChanged);
+    if (place.after !== place.before) {
+      const input = await waitFor(() => findLocationInput(), { timeout: settings.fieldTimeoutMs, signal });
+      throwIfAborted(signal);
+      setTextInputValue(input, place.after);
+    }
+  }
+
+  // --- Reminders (notifications), only shown in the full editor -----------
+  const REMINDER_UNIT_KEYS = { minutes: 'unitMinutes', hours: 'unitHours', days: 'unitDays', weeks: 'unitWeeks' };
+  const REMINDER_METHOD_KEYS = { popup: 'methodPopup', email: 'methodEmail' };
+
+  // "popup 10 minutes; email 1 days" — how the card compares, drafts keep and history
+  // records a reminder set. '' = not read from Calendar yet, 'none' = no reminders.
+  function serializeReminders(list) {
+    if (!list) return '';
+    return list.map(r => `${r.method} ${r.value} ${r.unit}`).join('; ') || 'none';
+  }
+
+  function parseReminders(text) {
+    if (!text) return null;
+    if (text === 'none') return [];
+    return globalThis.GPESettings.sanitizeReminders(text.split(';').map(part => {
+      const [method, value, unit] = part.trim().split(/\s+/);
+      return { method, value: Number(value), unit };
+    }));
+  }
+
+  function selectedText(el) {
+    if (el instanceof HTMLSelectElement) return (el.selectedOptions[0]?.textContent || '').trim();
+    return controlText(el);
+  }
+
+  // 'minutes' / 'email' / … for a control's text, via LABELS
+  function reminderKeyFor(text, keys) {
+    return Object.entries(keys).find(([, key]) => matchesAny(text, LABELS[key]))?.[0] || null;
+  }
+
+  // One entry per notification row: amount input, unit and method controls, remove button
+  function findReminderRows() {
+    return Array.from(document.querySelectorAll('input'))
+      .filter(el => isVisible(el) && !el.closest('.gpe-host') && matchesAny(controlLabelText(el), LABELS.reminderValue))
+      .map(input => {
+        let row = input.parentElement;
+        while (row && row !== document.body && !findLabelledButton(LABELS.reminderRemove, row)) row = row.parentElement;
+        if (!row || row === document.body) return null;
+        const controls = Array.from(row.querySelectorAll('select, [role="combobox"], [role="listbox"], [role="button"]')).filter(isVisible);
+        return {
+          input,
+          unit: controls.find(c => reminderKeyFor(selectedText(c), REMINDER_UNIT_KEYS)) || null,
+          method: controls.find(c => reminderKeyFor(selectedText(c), REMINDER_METHOD_KEYS)) || null,
+          remove: findLabelledButton(LABELS.reminderRemove, row)
+        };
+      })
+      .filter(Boolean);
+  }
+
+  function readRemindersFromEditor() {
+    return findReminderRows().map(r => ({
+      method: (r.method && reminderKeyFor(selectedText(r.method), REMINDER_METHOD_KEYS)) || 'popup',
+      value: Number(r.input.value) || 0,
+      unit: (r.unit && reminderKeyFor(selectedText(r.unit), REMINDER_UNIT_KEYS)) || 'minutes'
+    }));
+  }
+
+  // Pick an entry in a native <select> or a Calendar listbox
+  async function chooseControlOption(control, labels, signal) {
+    throwIfAborted(signal);
+    if (control instanceof HTMLSelectElement) {
+      const opt = Array.from(control.options).find(o => matchesAny(o.textContent.trim(), labels));
+      if (!opt) throw new Error(`Option not found: ${labels[0]}`);
+      control.value = opt.value;
+      control.dispatchEvent(new Event('change', { bubbles: true }));
+      return;
+    }
+    if (matchesAny(selectedText(control), labels)) return;
+    triggerClick(control);
+    let opt;
+    try {
+      opt = await waitFor(() => Array.from(document.querySelectorAll('[role="option"], [role="menuitem"], [role="menuitemradio"]'))
+        .filter(isVisible).find(o => matchesAny(optionText(o), labels)), { timeout: settings.fieldTimeoutMs, signal });
+    } catch (e) {
+      simulateKey('Escape');
+      throw e.name === 'AbortError' ? e : new Error(`Option not found: ${labels[0]}`);
+    }
+    triggerClick(opt);
+    await delay(150);
+  }
+
+  // Replace the event's notifications: remove every row, then add one per entry
+  async function applyRemindersToEditor(list, signal) {
+    for (let n = findReminderRows().length; n > 0; n--) {
+      const rows = findReminderRows();
+      if (!rows.length) break;
+      throwIfAborted(signal);
+      triggerClick(rows[rows.length - 1].remove);
+      await delay(150);
+    }
+    if (findReminderRows().length) throw new Error('Could not remove the current notifications / 既存の通知を削除できません');
+    for (const r of list) {
+      const count = findReminderRows().length;
+      const add = await waitFor(() => findLabelledButton(LABELS.reminderAdd), { timeout: settings.fieldTimeoutMs, signal });
+      throwIfAborted(signal);
+      triggerClick(add);
+      const rows = await waitFor(() => { const rs = findReminderRows(); return rs.length > count && rs; }, { timeout: settings.fieldTimeoutMs, signal });
+      const row = rows[rows.length - 1];
+      throwIfAborted(signal);
+      commitTextInput(row.input, String(r.value));
+      if (row.unit) await chooseControlOption(row.unit, LABELS[REMINDER_UNIT_KEYS[r.unit]], signal);
+      if (row.method) await chooseControlOption(row.method, LABELS[REMINDER_METHOD_KEYS[r.method]], signal);
+      else if (r.method !== 'popup') throw new Error('Email notifications are not offered here / メール通知は選べません');
+    }
+    // Calendar may sort the rows, so compare as sets
+    const sorted = (l) => serializeReminders(l).split('; ').sort().join('; ');
+    const got = readRemindersFromEditor();
+    if (sorted(got) !== sorted(list)) throw new Error(`Notifications not accepted: ${serializeReminders(got)}`);
+  }
+
+  // --- Guests ---------------------------------------------------------------
+  // Sorted "a@example.com, b@example.com" — how the card compares, drafts keep and
+  // history records a guest list
+  function serializeGuests(list) {
+    return [...new Set(list)].sort().join(', ');
+  }
+
+  function parseGuests(text) {
+    return (text || '').split(/[\s,;]+/).map(s => s.toLowerCase()).filter(s => EMAIL_RX.test(s));
+  }
+
+  function diffGuests(before, after) {
+    const b = parseGuests(before);
+    const a = parseGuests(after);
+    return { add: a.filter(e => !b.includes(e)), remove: b.filter(e => !a.includes(e)) };
+  }
+
+  function findGuestInput() {
+    return findLabelledControl(LABELS.guestInput, 'input');
+  }
+
+  // Guest rows in the full editor: { email, remove }; remove is null for the organizer
+  function findEditorGuests() {
+    const sel = '[data-email], [data-hovercard-id], [data-id]';
+    const popups = findQuickPopupDialogs();
+    const rows = new Map();
+    document.querySelectorAll(sel).forEach(el => {
+      const email = guestEmailOf(el);
+      if (!email || rows.has(email) || !isVisible(el) || el.closest('.gpe-host') || popups.some(p => p.contains(el))) return;
+      let row = el;
+      while (row.parentElement && row !== document.body && !findLabelledButton(LABELS.guestRemove, row)) row = row.parentElement;
+      // Stop at the list: a button shared by several guests is not this guest's
+      const own = row !== document.body && new Set(Array.from(row.querySelectorAll(sel), guestEmailOf).filter(Boolean)).size <= 1;
+      rows.set(email, { email, remove: own ? findLabelledButton(LABELS.guestRemove, row) : null });
+    });
+    return [...rows.values()];
+  }
+
+  // Remove, then add guests in the full editor. Calendar then asks whether to email
+  // them on save; submitSteps answers that like any update prompt.
+  async function applyGuestsToEditor({ add = [], remove = [] }, signal) {
+    const failed = (message) => (e) => { throw e.name === 'AbortError' ? e : new Error(message); };
+    const start = new Set(findEditorGuests().map(g => g.email));
+    for (const email of remove) {
+      const row = findEditorGuests().find(g => g.email === email);
+      if (!row) continue; // already gone
+      if (!row.remove) throw new Error(`Guest cannot be removed: ${email} / ゲストを削除できません`);
+      throwIfAborted(signal);
+      triggerClick(row.remove);
+      await waitFor(() => !findEditorGuests().some(g => g.email === email), { timeout: settings.fieldTimeoutMs, signal })
+        .catch(failed(`Guest not removed: ${email}`));
+    }
+    for (const email of add) {
+      if (findEditorGuests().some(g => g.email === email)) continue;
+      const input = await waitFor(() => findGuestInput(), { timeout: settings.fieldTimeoutMs, signal })
+        .catch(failed('Guest field not found / ゲストの入力欄が見つかりません'));
+      throwIfAborted(signal);
+      commitTextInput(input, email);
+      await waitFor(() => findEditorGuests().some(g => g.email === email), { timeout: settings.fieldTimeoutMs, signal })
+        .catch(failed(`Guest not added: ${email} / ゲストを追加できません`));
+    }
+    // Enter may pick an autocomplete entry instead of the typed address
+    const unexpected = findEditorGuests().map(g => g.email).filter(e => !start.has(e) && !add.includes(e));
+    if (unexpected.length) throw new Error(`Unexpected guest added: ${unexpected.join(', ')}`);
   }
 
   function findSaveButton() {
     const cands = Array.from(document.querySelectorAll('div[role="button"], button'))
       .filter(isVisible);
     let btn = cands.find(el => matchesAny(el.getAttribute('aria-label'), LABELS.save));
-    if (btn) return btn;
+    if (btn) { traceFinder('aria-label'); return btn; }
     btn = cands.find(el => matchesAny(el.textContent, LABELS.save));
-    if (btn) return btn;
+    if (btn) { traceFinder('text'); return btn; }
     btn = cands.find(el => matchesAny(el.getAttribute('data-tooltip') || el.getAttribute('title'), LABELS.save));
+    if (btn) traceFinder('tooltip/title');
     return btn || null;
   }
 
-  function onMutations(mutations) {
-    for (const m of mutations) {
-      for (const node of m.addedNodes) {
-        if (!(node instanceof HTMLElement)) continue;
-        // Look for quick popup
-        const dialogs = findQuickPopupDialogs(node);
-        dialogs.forEach(d => {
-          try { injectEditorIntoPopup(d); } catch (e) { warn('inject failed', e); }
-        });
-      }
-    }
+  // --- Bulk title operations (shift-click chips, then run one action) ------
+  // selectMode: checkboxes on chips (content.css), and a plain click selects
+  const bulk = { selection: new Map(), running: false, stopRequested: false, panel: null, selectMode: false };
+
+  // Cards with a save, dry run or notification read in progress (their run state is per card)
+  const cardRuns = new Set();
+
+  // Every automated run drives the same popup and full editor, so only one may run at a time
+  const BUSY_MESSAGE = 'Another edit is running / 他の処理を実行中です';
+  function isAutomationBusy() {
+    return cardRuns.size > 0 || bulk.running || historyState.replaying || inline.running || quickCreate.running || taskStatus.running;
   }
 
-  function boot() {
-    // If we just returned to a saved URL, restore scroll ASAP
-    attemptApplyPendingRestore();
-    // Initial sweep
-    findQuickPopupDialogs().forEach(d => {
-      try { injectEditorIntoPopup(d); } catch (e) { warn('inject failed', e); }
+  // Event of the chip whose popup is open; cleared when that popup closes
+  let lastChipEventId = null;
+  let lastChipClickAt = 0;
+  let chipPopup = null;
+  const CHIP_POPUP_WINDOW_MS = 3000;
+
+  // A popup that appears right after a chip click belongs to that chip. The id is stamped on
+  // the popup, so popups opened any other way (keyboard, search, a stale click) stay unknown.
+  function bindChipPopup(popup) {
+    if (popup.hasAttribute('data-gpe-eventid') || !lastChipEventId || Date.now() - lastChipClickAt > CHIP_POPUP_WINDOW_MS) return;
+    if (chipPopup && chipPopup !== popup && chipPopup.isConnected) return;
+    popup.setAttribute('data-gpe-eventid', lastChipEventId);
+    chipPopup = popup;
+  }
+
+  function extractEventId(popup) {
+    return popup.getAttribute('data-eventid')
+      || popup.querySelector('[data-eventid]')?.getAttribute('data-eventid')
+      || popup.getAttribute('data-gpe-eventid')
+      || null;
+  }
+
+  function findEventChip(eventId) {
+    return Array.from(document.querySelectorAll(`[data-eventid="${CSS.escape(eventId)}"]`)).find(isVisible) || null;
+  }
+
+  function chipLabel(chip) {
+    return ((chip.innerText || chip.textContent || '').split('\n').map(t => t.trim()).find(Boolean) || '(untitled)').slice(0, 80);
+  }
+
+  // Calendar re-renders chips often; re-mark the selected ones
+  function markSelectedChips() {
+    document.querySelectorAll('[data-gpe-selected]').forEach(el => {
+      if (!bulk.selection.has(el.getAttribute('data-eventid'))) el.removeAttribute('data-gpe-selected');
     });
+    for (const id of bulk.selection.keys()) {
+      document.querySelectorAll(`[data-eventid="${CSS.escape(id)}"]`).forEach(el => el.setAttribute('data-gpe-selected', ''));
+    }
+  }
+
+  function toggleChipSelection(chip) {
+    const id = chip.getAttribute('data-eventid');
+    if (bulk.selection.has(id)) bulk.selection.delete(id);
+    else bulk.selection.set(id, chipLabel(chip));
+    markSelectedChips();
+    updateBulkPanel();
+  }
+
+  function setSelectMode(on) {
+    bulk.selectMode = !!on;
+    document.documentElement.toggleAttribute('data-gpe-select-mode', bulk.selectMode);
+    updateBulkPanel();
+  }
+
+  // Shift+click (or any click in select mode) on a chip selects it instead of opening the popup
+  function onChipPointer(e) {
+    const chip = e.target instanceof Element && e.target.closest('[data-eventid]');
+    if (!chip || chip.closest('.gpe-host, [role="dialog"]')) return;
+    // Automated runs click chips themselves; those clicks must open the popup
+    const selecting = (e.shiftKey || bulk.selectMode) && !isAutomationBusy();
+    // Remember which event the next quick popup belongs to (see bindChipPopup)
+    if (e.type === 'click' && !selecting) {
+      lastChipEventId = chip.getAttribute('data-eventid');
+      lastChipClickAt = Date.now();
+    }
+    if (!selecting) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (e.type === 'click') toggleChipSelection(chip);
+  }
+
+  function applyBulkTitleOp(title, op) {
+    switch (op.kind) {
+      case 'addPrefix': return title.startsWith(op.text) ? title : op.text + title;
+      case 'removePrefix': return title.startsWith(op.text) ? title.slice(op.text.length).replace(/^\s+/, '') : title;
+      case 'replace': return title.replace(op.regex, op.replacement);
+      case 'toggleCheck': return toggleCheckPrefix(title);
+      case 'cycleStatus': return cycleStatusPrefix(title, settings.statusCycle, settings.prefixPalette);
+      default: return title;
+    }
+  }
+
+  function createBulkPanelUI() {
+    const host = document.createElement('div');
+    host.className = 'gpe-host gpe-floating';
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = BASE_CSS + `
+      .gpe { margin-top:0; width:340px; }
+      .row { display:flex; gap:6px; align-items:center; }
+      select, input[type="text"] { flex:1; min-width:0; font-size:12px; color:var(--gpe-fg); background:var(--gpe-bg); border:1px solid var(--gpe-border); border-radius:8px; padding:6px 8px; outline:none; box-sizing:border-box; }
+      input.flags { flex:0 0 52px; }
+      .progress { list-style:none; margin:0; padding:0; max-height:220px; overflow:auto; font-size:12px; display:flex; flex-direction:column; gap:2px; }
+      .progress li { display:flex; gap:6px; align-items:baseline; }
+      .progress .st { flex:0 0 16px; text-align:center; }
+      .progress .name { flex:1; min-width:0; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+      .progress .msg { color:var(--gpe-muted); max-width:45%; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+      .progress li[data-state="error"] .msg { color:#d93025; }
+      .hint { font-size:11px; color:var(--gpe-muted); }
+    `;
+
+    const wrap = document.createElement('div');
+    wrap.className = 'gpe';
+    wrap.innerHTML = `
+      <div class="card">
+        <div class="toolbar">
+          <div class="left">
+            <span class="title">Bulk edit / 一括編集</span>
+            <span class="badge count">0</span>
+          </div>
+          <div class="right">
+            <button class="btn ghost" data-action="select-mode" title="Show checkboxes on events; a click selects / 予定にチェックボックスを表示（クリックで選択）">Select</button>
+            <button class="btn ghost" data-action="clear" title="Clear selection / 選択解除">Clear</button>
+            <button class="btn ghost" data-action="stop" title="Stop after the current event / 現在の予定の後で停止" disabled>Stop</button>
+            <button class="btn primary" data-action="run">Run</button>
+          </div>
+        </div>
+        <div class="content">
+          <div class="row">
+            <select class="op" aria-label="Action / 操作">
+              <option value="addPrefix">Add prefix / 接頭辞を追加</option>
+              <option value="removePrefix">Remove prefix / 接頭辞を削除</option>
+              <option value="replace">Find &amp; replace (regex) / 正規表現で置換</option>
+              <option value="toggleCheck">Toggle ✅ / ✅を付ける/外す</option>
+              <option value="cycleStatus">Next task status / 状態を進める</option>
+            </select>
+          </div>
+          <div class="row args">
+            <input type="text" class="arg-text" placeholder="Prefix / 接頭辞" />
+            <input type="text" class="arg-replacement hidden" placeholder="Replace with / 置換後 ($1 可)" />
+            <input type="text" class="flags hidden" value="g" aria-label="Regex flags / フラグ" />
+          </div>
+          <div class="hint">Shift+click events (or click them while "Select" is on) to add or remove them. / Shift+クリック（「Select」中はクリック）で予定を選択/解除</div>
+          <ol class="progress"></ol>
+        </div>
+        <div class="status" aria-live="polite">
+          <span class="spinner hidden" aria-hidden="true"></span>
+          <span class="text"></span>
+        </div>
+      </div>
+    `;
+    shadow.appendChild(style);
+    shadow.appendChild(wrap);
+
+    const opEl = wrap.querySelector('.op');
+    const textEl = wrap.querySelector('.arg-text');
+    const replEl = wrap.querySelector('.arg-replacement');
+    const flagsEl = wrap.querySelector('.flags');
+    const progress = wrap.querySelector('.progress');
+    const statusText = wrap.querySelector('.status .text');
+    const spinner = wrap.querySelector('.status .spinner');
+    const buttons = {
+      run: wrap.querySelector('button[data-action="run"]'),
+      stop: wrap.querySelector('button[data-action="stop"]'),
+      clear: wrap.querySelector('button[data-action="clear"]'),
+      selectMode: wrap.querySelector('button[data-action="select-mode"]')
+    };
+
+    function updateArgs() {
+      const kind = opEl.value;
+      textEl.classList.toggle('hidden', kind === 'toggleCheck' || kind === 'cycleStatus');
+      replEl.classList.toggle('hidden', kind !== 'replace');
+      flagsEl.classList.toggle('hidden', kind !== 'replace');
+      textEl.placeholder = kind === 'replace' ? 'Pattern / パターン' : 'Prefix / 接頭辞';
+    }
+    opEl.addEventListener('change', updateArgs);
+    updateArgs();
+
+    // Keep Calendar's keyboard shortcuts out of the panel's inputs
+    shadow.addEventListener('keydown', (e) => { e.stopPropagation(); }, { capture: false });
+
+    return {
+      host,
+      on(action, fn) {
+        wrap.addEventListener('click', (e) => {
+          const btn = e.target.closest('button[data-action]');
+          if (btn && btn.dataset.action === action) fn(e);
+        });
+      },
+      setStatus(msg) { statusText.textContent = msg || ''; },
+      setCount(n) { wrap.querySelector('.count').textContent = `${n} selected`; },
+      setSelectMode(on) {
+        buttons.selectMode.textContent = on ? 'Done' : 'Select';
+        buttons.selectMode.setAttribute('aria-pressed', String(on));
+      },
+      setRunning(running) {
+        spinner.classList.toggle('hidden', !running);
+        buttons.run.disabled = running;
+        buttons.clear.disabled = running;
+        buttons.selectMode.disabled = running;
+        buttons.stop.disabled = !running;
+        [opEl, textEl, replEl, flagsEl].forEach(el => { el.disabled = running; });
+      },
+      // Returns the op or throws with a user-facing message
+      readOp() {
+        const kind = opEl.value;
+        if (kind === 'toggleCheck') return { kind };
+        if (kind === 'cycleStatus') {
+          if (!settings.statusCycle.length) throw new Error('No task statuses set in the options / オプションで状態が未設定です');
+          return { kind };
+        }
+        if (!textEl.value) throw new Error(kind === 'replace' ? 'Enter a pattern / パターンを入力してください' : 'Enter a prefix / 接頭辞を入力してください');
+        if (kind === 'replace') {
+          try {
+            return { kind, regex: new RegExp(textEl.value, flagsEl.value), replacement: replEl.value };
+          } catch (err) {
+            throw new Error(`Invalid regex: ${err.message}`);
+          }
+        }
+        return { kind, text: textEl.value };
+      },
+      // items: [{ id, label }] → per-item setter (state: pending|running|ok|skip|error|stopped)
+      renderItems(items) {
+        progress.textContent = '';
+        const marks = { pending: '·', running: '…', ok: '✓', skip: '–', error: '✕', stopped: '■' };
+        const setters = new Map();
+        for (const item of items) {
+          const li = document.createElement('li');
+          li.innerHTML = '<span class="st"></span><span class="name"></span><span class="msg"></span>';
+          li.querySelector('.name').textContent = item.label;
+          progress.appendChild(li);
+          setters.set(item.id, (state, msg = '') => {
+            li.dataset.state = state;
+            li.querySelector('.st').textContent = marks[state] || '';
+            li.querySelector('.msg').textContent = msg;
+            li.querySelector('.msg').title = msg;
+            if (state === 'running') li.scrollIntoView({ block: 'nearest' });
+          });
+          setters.get(item.id)('pending');
+        }
+        return setters;
+      }
+    };
+  }
+
+  function updateBulkPanel() {
+    const n = bulk.selection.size;
+    if (!n && !bulk.running && !bulk.selectMode) {
+      bulk.panel?.host.remove();
+      bulk.panel = null;
+      return;
+    }
+    if (!bulk.panel) {
+      bulk.panel = createBulkPanelUI();
+      document.body.appendChild(bulk.panel.host);
+      bulk.panel.on('clear', () => { bulk.selection.clear(); markSelectedChips(); updateBulkPanel(); });
+      bulk.panel.on('stop', () => { bulk.stopRequested = true; bulk.panel.setStatus('Stopping after the current event…'); });
+      bulk.panel.on('run', () => runBulk());
+      bulk.panel.on('select-mode', () => setSelectMode(!bulk.selectMode));
+    }
+    bulk.panel.setCount(n);
+    bulk.panel.setSelectMode(bulk.selectMode);
+  }
+
+  // One event: open popup → full editor → rewrite title → save
+  async function bulkEditOne(eventId, op, source = 'bulk') {
+    const popup = await openEventPopup(eventId);
+    const titleInput = await openFullEditor(popup);
+    const before = titleInput.value;
+    const after = normalizeTitle(applyBulkTitleOp(before, op));
+    if (after === before) {
+      // Nothing to write: discard, since Save could still raise the scope or send-updates prompts
+      await discardFullEditor();
+      return { changed: false, message: 'No change' };
+    }
+    setTextInputValue(titleInput, after);
+    await submitFullEditor({ scope: 'this' });
+    recordHistory({ eventId, source, before: { title: before }, after: { title: after } });
+    return { changed: true, message: after };
+  }
+
+  async function runBulk() {
+    const panel = bulk.panel;
+    if (!panel || bulk.running) return;
+    if (isAutomationBusy()) { panel.setStatus(BUSY_MESSAGE); return; }
+    let op;
+    try { op = panel.readOp(); } catch (e) { panel.setStatus(e.message); return; }
+    const items = Array.from(bulk.selection, ([id, label]) => ({ id, label }));
+    if (!items.length) return;
+
+    const routeSnap = snapshotRoute();
+    const scrollSnap = snapshotCalendarScroll();
+    const setters = panel.renderItems(items);
+    bulk.running = true;
+    bulk.stopRequested = false;
+    panel.setRunning(true);
+    let ok = 0, failed = 0;
+    try {
+      for (let i = 0; i < items.length; i++) {
+        const { id } = items[i];
+        if (bulk.stopRequested) {
+          items.slice(i).forEach(it => setters.get(it.id)('stopped', 'Stopped'));
+          break;
+        }
+        panel.setStatus(`${i + 1} / ${items.length}`);
+        setters.get(id)('running');
+        try {
+          const res = await bulkEditOne(id, op);
+          setters.get(id)(res.changed ? 'ok' : 'skip', res.message);
+          if (res.changed) { ok++; logSaveResult({ source: 'bulk', label: res.message, ok: true, message: 'Saved' }); }
+          bulk.selection.delete(id);
+        } catch (e) {
+          warn('Bulk edit failed', id, e);
+          failed++;
+          setters.get(id)('error', e.message);
+          logSaveResult({ source: 'bulk', label: items[i].label, ok: false, message: e.message });
+          await discardFullEditor();
+        }
+        // Saving can bounce Calendar to today; come back so the next chip is visible
+        await restoreRouteSoft(routeSnap);
+      }
+    } finally {
+      bulk.running = false;
+      panel.setRunning(false);
+      markSelectedChips();
+      panel.setCount(bulk.selection.size);
+      panel.setStatus(`Done: ${ok} updated, ${failed} failed${bulk.stopRequested ? ' (stopped)' : ''}`);
+      await restoreCalendarScrollWithRetries(scrollSnap);
+    }
+  }
+
+  // --- Edit history & revert (storage in src/history.js) -------------------
+  const HISTORY_FIELDS = ['title', 'description', 'date', 'start', 'end', 'allDay', 'color', 'calendar', 'location', 'video', 'guests', 'reminders'];
+  const historyState = { replaying: false, panel: null, unsubscribe: null };
+
+  // Session log of save attempts (successes and failures) for the toolbar popup
+  const SAVE_LOG_MAX = 10;
+  const saveLog = [];
+
+  function logSaveResult({ source, label, ok, message = '' }) {
+    saveLog.unshift({ t: Date.now(), source, label: (label || '').slice(0, 80), ok, message });
+    saveLog.length = Math.min(saveLog.length, SAVE_LOG_MAX);
+  }
+
+  // Log a successful save; only fields that actually changed are kept
+  function recordHistory({ eventId, source, before, after }) {
+    const changed = HISTORY_FIELDS.filter(k => k in after && after[k] !== before[k]);
+    if (!changed.length) return;
+    const pick = (obj) => Object.fromEntries(HISTORY_FIELDS.filter(k => k in obj).map(k => [k, obj[k]]));
+    globalThis.GPEHistory.append({ eventId, label: after.title || before.title || '', source, changed, before: pick(before), after: pick(after) })
+      .catch(e => warn('history save failed', e));
+  }
+
+  // Replay the save automation for one event with the given values (used by revert);
+  // from: the values being undone, for fields applied as a difference (guests).
+  // Returns { previousTitle, skipped: [fields that could not be written back] }.
+  async function replayEventValues(eventId, values, changed, from = {}) {
+    // Not written back: an unknown previous colour or reminder set (never read from
+    // Calendar), and video links (Calendar issues them; the old one can't be re-attached)
+    const unknown = (f) => f === 'video' || ((f === 'color' || f === 'reminders') && !values[f]);
+    if (changed.every(unknown)) throw new Error('Previous values are not known / 以前の値が不明です');
+    if (!eventId || !findEventChip(eventId)) throw new Error('Event not visible in this view / 表示中の範囲に予定がありません');
+    const popup = await openEventPopup(eventId);
+    let current;
+    try {
+      const titleInput = await openFullEditor(popup);
+      current = titleInput.value;
+      if (changed.includes('title')) setTextInputValue(titleInput, normalizeTitle(values.title));
+      if (changed.includes('description')) {
+        const descBox = await waitFor(() => findDescriptionBox(), { timeout: settings.fieldTimeoutMs });
+        writeDescription(descBox, values.description || '');
+      }
+      const whenChanged = { date: changed.includes('date'), start: changed.includes('start'), end: changed.includes('end'), allDay: changed.includes('allDay') };
+      if (Object.values(whenChanged).some(Boolean)) await applyWhenToEditor(values, whenChanged);
+      // The previous colour is unknown ('') when it was never set from the card
+      if (changed.includes('color') && values.color) await applyEventColor(values.color);
+      if (changed.includes('calendar') && values.calendar) await applyEventCalendar(values.calendar);
+      if (changed.includes('reminders') && values.reminders) await applyRemindersToEditor(parseReminders(values.reminders));
+      const guestDiff = changed.includes('guests') ? diffGuests(from.guests, values.guests) : { add: [], remove: [] };
+      if (changed.includes('guests')) await applyGuestsToEditor(guestDiff);
+      // Recorded as the full location text, typed video links included
+      if (changed.includes('location')) {
+        const input = await waitFor(() => findLocationInput(), { timeout: settings.fieldTimeoutMs });
+        setTextInputValue(input, values.location || '');
+      }
+      await submitFullEditor({ scope: 'this', inviteExternal: guestDiff.add.length > 0 });
+    } catch (e) {
+      await discardFullEditor();
+      throw e;
+    }
+    return { previousTitle: current, skipped: changed.filter(unknown) };
+  }
+
+  // Returns { skipped }: fields left as they are (a removed Meet link stays removed)
+  async function revertHistoryEntry(entry) {
+    const routeSnap = snapshotRoute();
+    const scrollSnap = snapshotCalendarScroll();
+    historyState.replaying = true;
+    try {
+      const values = { ...entry.after, ...entry.before };
+      const { previousTitle, skipped } = await replayEventValues(entry.eventId, values, entry.changed, entry.after);
+      // Skipped fields still hold the undone values, so they aren't logged as reverted
+      const written = { ...values, ...Object.fromEntries(skipped.map(f => [f, entry.after[f]])) };
+      recordHistory({
+        eventId: entry.eventId, source: 'revert',
+        before: { ...entry.after, ...(entry.changed.includes('title') ? { title: previousTitle } : {}) },
+        after: written
+      });
+      logSaveResult({
+        source: 'revert', label: entry.label, ok: true,
+        message: skipped.length ? `Partly reverted; not restored: ${skipped.join(', ')}` : 'Reverted'
+      });
+      return { skipped };
+    } catch (e) {
+      logSaveResult({ source: 'revert', label: entry.label, ok: false, message: e.message });
+      throw e;
+    } finally {
+      historyState.replaying = false;
+      await restoreRouteSoft(routeSnap);
+      await restoreCalendarScrollWithRetries(scrollSnap);
+    }
+  }
+
+  function describeHistoryValue(field, v) {
+    if (field === 'allDay') return v ? 'all day / 終日' : 'timed / 時間指定';
+    if (field === 'color') return EVENT_COLORS.find(c => c.id === v)?.name || '(not known / 不明)';
+    if (field === 'reminders') return v ? (v === 'none' ? 'none / なし' : v) : '(not known / 不明)';
+    if (v === '' || v === undefined || v === null) return '(empty)';
+    return String(v);
+  }
+
+  function createHistoryPanelUI() {
+    const host = document.createElement('div');
+    host.className = 'gpe-host gpe-floating gpe-left';
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = BASE_CSS + `
+      .gpe { margin-top:0; width:380px; }
+      .filter { display:flex; align-items:center; gap:6px; font-size:12px; }
+      .list { list-style:none; margin:0; padding:0; max-height:360px; overflow:auto; display:flex; flex-direction:column; gap:8px; }
+      .list li { border:1px solid var(--gpe-border); border-radius:8px; padding:6px 8px; font-size:12px; display:flex; flex-direction:column; gap:4px; }
+      .meta { display:flex; justify-content:space-between; align-items:center; gap:6px; color:var(--gpe-muted); font-size:11px; }
+      .diff { display:grid; grid-template-columns:auto 1fr; gap:2px 6px; }
+      .diff .k { color:var(--gpe-muted); }
+      .diff .b { text-decoration:line-through; color:var(--gpe-muted); white-space:pre-wrap; word-break:break-word; }
+      .diff .a { white-space:pre-wrap; word-break:break-word; }
+      .empty { font-size:12px; color:var(--gpe-muted); }
+    `;
+
+    const wrap = document.createElement('div');
+    wrap.className = 'gpe';
+    wrap.innerHTML = `
+      <div class="card">
+        <div class="toolbar">
+          <div class="left"><span class="title">Edit history / 編集履歴</span></div>
+          <div class="right">
+            <button class="btn ghost" data-action="clear-history" title="Delete all history / 履歴をすべて削除">Clear</button>
+            <button class="btn ghost" data-action="close">Close</button>
+          </div>
+        </div>
+        <div class="content">
+          <label class="filter"><input type="checkbox" class="only-event" /> This event only / この予定のみ</label>
+          <ol class="list"></ol>
+        </div>
+        <div class="status" aria-live="polite">
+          <span class="spinner hidden" aria-hidden="true"></span>
+          <span class="text"></span>
+        </div>
+      </div>
+    `;
+    shadow.appendChild(style);
+    shadow.appendChild(wrap);
+
+    const listEl = wrap.querySelector('.list');
+    const onlyEl = wrap.querySelector('.only-event');
+    const statusText = wrap.querySelector('.status .text');
+    const spinner = wrap.querySelector('.status .spinner');
+    let entries = [];
+    let eventId = null;
+    let busy = false;
+
+    function render() {
+      listEl.textContent = '';
+      const shown = entries.filter(e => !(onlyEl.checked && eventId) || e.eventId === eventId);
+      if (!shown.length) {
+        const li = document.createElement('div');
+        li.className = 'empty';
+        li.textContent = 'No saved edits yet / 保存履歴はありません';
+        listEl.appendChild(li);
+        return;
+      }
+      for (const entry of shown) {
+        const li = document.createElement('li');
+        li.innerHTML = '<div class="meta"><span class="when"></span><button class="btn ghost" data-revert>Revert</button></div><div class="diff"></div>';
+        li.querySelector('.when').textContent = `${new Date(entry.t).toLocaleString()} · ${entry.source}`;
+        const revertBtn = li.querySelector('[data-revert]');
+        revertBtn.dataset.revert = entry.id;
+        revertBtn.disabled = busy || !entry.eventId;
+        if (!entry.eventId) revertBtn.title = 'Event unknown / 予定を特定できません';
+        const diff = li.querySelector('.diff');
+        for (const field of entry.changed) {
+          const k = document.createElement('span'); k.className = 'k'; k.textContent = field;
+          const v = document.createElement('span');
+          v.innerHTML = '<span class="b"></span> → <span class="a"></span>';
+          v.querySelector('.b').textContent = describeHistoryValue(field, entry.before[field]);
+          v.querySelector('.a').textContent = describeHistoryValue(field, entry.after[field]);
+          diff.append(k, v);
+        }
+        listEl.appendChild(li);
+      }
+    }
+    onlyEl.addEventListener('change', render);
+
+    // Keep Calendar's keyboard shortcuts out of the panel
+    shadow.addEventListener('keydown', (e) => { e.stopPropagation(); });
+
+    return {
+      host,
+      on(action, fn) {
+        wrap.addEventListener('click', (e) => {
+          const btn = e.target.closest('button[data-action]');
+          if (btn && btn.dataset.action === action) fn(e);
+        });
+      },
+      onRevert(fn) {
+        wrap.addEventListener('click', (e) => {
+          const btn = e.target.closest('button[data-revert]');
+          const entry = btn && entries.find(x => x.id === btn.dataset.revert);
+          if (entry) fn(entry);
+        });
+      },
+      setEntries(list) { entries = list; render(); },
+      setEventFilter(id) { eventId = id; onlyEl.checked = !!id; onlyEl.disabled = !id; render(); },
+      setBusy(b) { busy = b; spinner.classList.toggle('hidden', !b); render(); },
+      setStatus(msg) { statusText.textContent = msg || ''; }
+    };
+  }
+
+  async function openHistoryPanel({ eventId = null } = {}) {
+    if (!historyState.panel) {
+      const panel = createHistoryPanelUI();
+      historyState.panel = panel;
+      document.body.appendChild(panel.host);
+      panel.on('close', () => {
+        historyState.unsubscribe?.();
+        panel.host.remove();
+        historyState.panel = null;
+      });
+      panel.on('clear-history', async () => {
+        if (!confirm('Delete all edit history? / 編集履歴をすべて削除しますか？')) return;
+        await globalThis.GPEHistory.clear();
+      });
+      panel.onRevert(async (entry) => {
+        if (isAutomationBusy()) { panel.setStatus(BUSY_MESSAGE); return; }
+        panel.setBusy(true);
+        panel.setStatus('Reverting…');
+        try {
+          const { skipped } = await revertHistoryEntry(entry);
+          panel.setStatus(skipped.length
+            ? `Partly reverted — not restored: ${skipped.join(', ')} / 一部のみ元に戻しました（${skipped.join(', ')} は戻せません）`
+            : 'Reverted / 元に戻しました');
+        } catch (e) {
+          warn('Revert failed', e);
+          panel.setStatus(`Error: ${e.message}`);
+        } finally {
+          panel.setBusy(false);
+        }
+      });
+      historyState.unsubscribe = globalThis.GPEHistory.subscribe(list => historyState.panel?.setEntries(list));
+    }
+    historyState.panel.setEventFilter(eventId);
+    historyState.panel.setEntries(await globalThis.GPEHistory.load());
+  }
+
+  // --- Diagnostics: selector health check ---------------------------------
+  // Each finder runs against the live page; the report carries no event text.
+  const DIAG_FINDERS = [
+    { name: 'findQuickPopupDialogs', context: 'popup', run: () => findQuickPopupDialogs()[0] || null },
+    { name: 'findEditButton', context: 'popup', run: () => findEditButton(findQuickPopupDialogs()[0] || null) },
+    { name: 'findTitleInput', context: 'editor', run: () => findTitleInput() || null },
+    { name: 'findDescriptionBox', context: 'editor', run: () => findDescriptionBox() },
+    { name: 'findSaveButton', context: 'editor', run: () => findSaveButton() },
+    { name: 'findUpdatePromptDialog', context: 'prompt', run: () => findUpdatePromptDialog() },
+    { name: 'findPrimaryCalendarScroller', context: 'grid', run: () => findPrimaryCalendarScroller() }
+  ];
+
+  // aria-labels are kept only when they are exactly one of our known UI labels
+  // (unanchored patterns such as /calendar/ would let event or calendar names through)
+  function safeLabel(text) {
+    if (!text) return '';
+    const exact = (list) => list.filter(r => r.source.startsWith('^') && r.source.endsWith('$'));
+    const known = Object.values(LABELS).some(list => matchesAny(text, exact(list)));
+    return known ? text.trim() : `[redacted:${text.length}]`;
+  }
+
+  function describeTag(el) {
+    const tag = el.tagName.toLowerCase();
+    const id = el.id && el.id.length <= 24 ? `#${el.id}` : (el.id ? '#[id]' : '');
+    const role = el.getAttribute('role') ? `[role=${el.getAttribute('role')}]` : '';
+    const aria = el.hasAttribute('aria-label') ? `[aria-label=${safeLabel(el.getAttribute('aria-label'))}]` : '';
+    const data = Array.from(el.attributes).filter(a => a.name.startsWith('data-')).map(a => `[${a.name}]`).slice(0, 4).join('');
+    const hasText = Array.from(el.childNodes).some(n => n.nodeType === Node.TEXT_NODE && n.nodeValue.trim());
+    return `${tag}${id}${role}${aria}${data}${hasText ? ' (text)' : ''}`;
+  }
+
+  function describeElement(el) {
+    if (!el) return null;
+    const r = el.getBoundingClientRect();
+    return { tag: describeTag(el), visible: isVisible(el), size: `${Math.round(r.width)}x${Math.round(r.height)}` };
+  }
+
+  function outlineDom(root, { maxDepth = 10, maxNodes = 500 } = {}) {
+    const lines = [];
+    let count = 0;
+    const walk = (el, depth) => {
+      if (count >= maxNodes || depth > maxDepth) return;
+      count++;
+      if (el.classList.contains('gpe-host')) { lines.push(`${'  '.repeat(depth)}(extension UI)`); return; }
+      lines.push('  '.repeat(depth) + describeTag(el));
+      for (const child of el.children) walk(child, depth + 1);
+    };
+    if (root) walk(root, 0);
+    if (count >= maxNodes) lines.push('… truncated');
+    return lines;
+  }
+
+  // Route without event ids: long path segments are replaced
+  function sanitizedRoute() {
+    return location.pathname.split('/').map(seg => (seg.length > 20 ? '[id]' : seg)).join('/');
+  }
+
+  function runDiagnostics() {
+    const popup = findQuickPopupDialogs()[0] || null;
+    const titleInput = findTitleInput();
+    const state = {
+      popupOpen: !!popup,
+      editorOpen: /\/eventedit/.test(location.pathname) || !!titleInput,
+      promptOpen: !!findUpdatePromptDialog()
+    };
+    const applicable = { popup: state.popupOpen, editor: state.editorOpen, prompt: state.promptOpen, grid: true };
+    const finders = DIAG_FINDERS.map(f => {
+      finderTrace = [];
+      let el = null;
+      let error = null;
+      try { el = f.run(); } catch (e) { error = e.message; }
+      const strategies = finderTrace;
+      finderTrace = null;
+      const matched = !!el;
+      const status = matched ? 'ok' : (applicable[f.context] ? 'missing' : 'n/a');
+      return { name: f.name, context: f.context, status, strategies, element: describeElement(el), error };
+    });
+    const editorRoot = titleInput ? (queryClosestDialog(titleInput) || titleInput.closest('form, main, [role="main"]')) : null;
+    return {
+      generatedAt: new Date().toISOString(),
+      version: chrome.runtime.getManifest?.().version || '',
+      lang: document.documentElement.lang || '',
+      localePacks: activeLocales,
+      labelOverrides: settings.labelOverrides.length,
+      route: sanitizedRoute(),
+      userAgent: navigator.userAgent,
+      state,
+      finders,
+      outline: { popup: outlineDom(popup), editor: outlineDom(editorRoot) }
+    };
+  }
+
+  function downloadText(filename, text, mime = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportDiagnostics(report) {
+    downloadText(`gpe-diagnostics-${report.generatedAt.replace(/[:.]/g, '-')}.json`, JSON.stringify(report, null, 2), 'application/json');
+  }
+
+  function createDiagnosticsPanelUI() {
+    const host = document.createElement('div');
+    host.className = 'gpe-host gpe-floating gpe-top';
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = BASE_CSS + `
+      .gpe { margin-top:0; width:420px; }
+      table { width:100%; border-collapse:collapse; font-size:12px; }
+      th { text-align:left; font-weight:500; color:var(--gpe-muted); padding:2px 4px; }
+      td { padding:3px 4px; border-top:1px solid var(--gpe-border); vertical-align:top; }
+      td.st[data-status="ok"] { color:#188038; }
+      td.st[data-status="missing"] { color:#d93025; font-weight:600; }
+      td.st[data-status="n/a"] { color:var(--gpe-muted); }
+      .state { font-size:11px; color:var(--gpe-muted); }
+    `;
+
+    const wrap = document.createElement('div');
+    wrap.className = 'gpe';
+    wrap.innerHTML = `
+      <div class="card">
+        <div class="toolbar">
+          <div class="left"><span class="title">Diagnostics / 診断</span></div>
+          <div class="right">
+            <button class="btn ghost" data-action="rerun">Re-run</button>
+            <button class="btn ghost" data-action="export" title="Download a report without event text / 予定の内容を含まないレポートを保存">Export</button>
+            <button class="btn ghost" data-action="close">Close</button>
+          </div>
+        </div>
+        <div class="content">
+          <div class="state"></div>
+          <table>
+            <thead><tr><th>Finder</th><th>Status</th><th>Strategy</th></tr></thead>
+            <tbody></tbody>
+          </table>
+        </div>
+      </div>
+    `;
+    shadow.appendChild(style);
+    shadow.appendChild(wrap);
+
+    const tbody = wrap.querySelector('tbody');
+    const stateEl = wrap.querySelector('.state');
+    return {
+      host,
+      on(action, fn) {
+        wrap.addEventListener('click', (e) => {
+          const btn = e.target.closest('button[data-action]');
+          if (btn && btn.dataset.action === action) fn(e);
+        });
+      },
+      render(report) {
+        const st = report.state;
+        stateEl.textContent = `popup: ${st.popupOpen ? 'open' : 'closed'} · editor: ${st.editorOpen ? 'open' : 'closed'} · prompt: ${st.promptOpen ? 'open' : 'none'} · lang: ${report.lang || '?'} (${report.localePacks.join(', ')})`;
+        tbody.textContent = '';
+        for (const f of report.finders) {
+          const tr = document.createElement('tr');
+          tr.innerHTML = '<td class="name"></td><td class="st"></td><td class="how"></td>';
+          tr.querySelector('.name').textContent = f.name;
+          tr.querySelector('.st').textContent = f.status;
+          tr.querySelector('.st').dataset.status = f.status;
+          tr.querySelector('.how').textContent = f.error ? `error: ${f.error}` : (f.strategies.join(' → ') || (f.status === 'ok' ? 'default' : '—'));
+          tbody.appendChild(tr);
+        }
+      }
+    };
+  }
+
+  const diagState = { panel: null, report: null };
+
+  function openDiagnosticsPanel() {
+    if (!diagState.panel) {
+      const panel = createDiagnosticsPanelUI();
+      diagState.panel = panel;
+      document.body.appendChild(panel.host);
+      const rerun = () => { diagState.report = runDiagnostics(); panel.render(diagState.report); };
+      panel.on('rerun', rerun);
+      panel.on('export', () => { if (diagState.report) exportDiagnostics(diagState.report); });
+      panel.on('close', () => { panel.host.remove(); diagState.panel = null; });
+    }
+    diagState.report = runDiagnostics();
+    diagState.panel.render(diagState.report);
+  }
+
+  // --- Keyboard commands (chrome.commands, forwarded by src/background.js) --
+  // Visible event chips in reading order, one per event: column-first in day/week
+  // views, row-first in month/schedule/year views
+  function orderedEventChips() {
+    const rowFirst = /\/r\/(month|agenda|year)\b/.test(location.pathname);
+    const seen = new Set();
+    const chips = Array.from(document.querySelectorAll('[data-eventid]'))
+      .filter(el => isVisible(el) && !el.closest('.gpe-host, [role="dialog"]'))
+      .filter(el => { const id = el.getAttribute('data-eventid'); return !seen.has(id) && seen.add(id); })
+      .map(el => ({ el, r: el.getBoundingClientRect() }));
+    chips.sort((a, b) => rowFirst
+      ? (a.r.top - b.r.top) || (a.r.left - b.r.left)
+      : (a.r.left - b.r.left) || (a.r.top - b.r.top));
+    return chips.map(c => c.el);
+  }
+
+  function focusedEventChip() {
+    const el = document.activeElement;
+    return (el instanceof Element && !el.closest('.gpe-host') && el.closest('[data-eventid]')) || null;
+  }
+
+  // Open the event's popup and put the caret at the end of the card's title
+  async function openQuickEditOn(chip) {
+    const cardHost = () => findQuickPopupDialogs().map(d => d.querySelector('.gpe-host')).find(Boolean);
+    // Clicking the chip of the open popup again would close it
+    const prev = cardHost();
+    const alreadyOpen = chip.getAttribute('data-eventid') === lastChipEventId && prev;
+    if (!alreadyOpen) {
+      chip.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      try { chip.focus({ preventScroll: true }); } catch {}
+      triggerClick(chip);
+    }
+    const host = alreadyOpen || await waitFor(() => { const h = cardHost(); return h !== prev && h; }, { timeout: settings.fieldTimeoutMs });
+    const ui = editorByHost.get(host);
+    if (!ui) return;
+    ui.setCollapsed(false);
+    ui.title.focus();
+    ui.title.setSelectionRange(ui.title.value.length, ui.title.value.length);
+  }
+
+  async function runCommand(command) {
+    if (isAutomationBusy()) return { ok: false, error: 'busy' };
+    if (command === 'quick-create') { openQuickCreatePanel(); return { ok: true }; }
+    if (command === 'bulk-select') { setSelectMode(!bulk.selectMode); return { ok: true }; }
+    if (command === 'status-summary') { openStatusSummaryPanel(); return { ok: true }; }
+    if (command === 'export-ics' || command === 'export-csv') return exportVisibleEvents(command.slice('export-'.length));
+    const chips = orderedEventChips();
+    if (!chips.length) return { ok: false, error: 'No events visible' };
+    const current = focusedEventChip()
+      || (lastChipEventId && chips.find(c => c.getAttribute('data-eventid') === lastChipEventId))
+      || null;
+    if (command === 'cycle-status') return current ? cycleStatusOn(current) : { ok: false, error: 'No event focused / 予定が選択されていません' };
+    const idx = current ? chips.findIndex(c => c.getAttribute('data-eventid') === current.getAttribute('data-eventid')) : -1;
+    let target = null;
+    if (command === 'quick-edit-focused') target = current || chips[0];
+    else if (command === 'quick-edit-next') target = chips[Math.min(idx + 1, chips.length - 1)];
+    else if (command === 'quick-edit-previous') target = idx < 0 ? chips[chips.length - 1] : chips[Math.max(idx - 1, 0)];
+    if (!target) return { ok: false, error: `Unknown command: ${command}` };
+    await openQuickEditOn(target);
+    return { ok: true };
+  }
+
+  // --- Inline rename on event chips (double-click or F2) -------------------
+  const inline = { field: null, running: false };
+  // A time needs a colon, am/pm or 午前/午後 so titles like "3 people sync" are left alone
+  const CHIP_TIME = String.raw`(?:(?:午前|午後)\s*\d{1,2}(?:[:：]\d{2})?|\d{1,2}[:：]\d{2}\s*(?:am|pm)?|\d{1,2}\s*(?:am|pm))`;
+  const CHIP_TIME_PREFIX_RX = new RegExp(String.raw`^${CHIP_TIME}(?:\s*[–~〜-]\s*${CHIP_TIME})?[,、]?\s+`, 'i');
+
+  // Best guess of the title from the chip's first line (not cut like chipLabel);
+  // leading times ("10am", "10:00 – 11:00,") are dropped. Checked against the editor before saving.
+  function chipTitle(chip) {
+    const line = (chip.innerText || chip.textContent || '').split('\n').map(t => t.trim()).find(Boolean) || '';
+    return line.replace(CHIP_TIME_PREFIX_RX, '');
+  }
+
+  function isInlineRenameView() {
+    return !/\/r\/(agenda|year)\b/.test(location.pathname);
+  }
+
+  function closeInlineField() {
+    inline.field?.host.remove();
+    inline.field = null;
+  }
+
+  function createInlineFieldUI(chip, value) {
+    const r = chip.getBoundingClientRect();
+    const host = document.createElement('div');
+    host.className = 'gpe-host';
+    Object.assign(host.style, {
+      position: 'fixed', zIndex: '2147483000',
+      left: `${r.left}px`, top: `${r.top}px`, width: `${Math.max(r.width, 160)}px`
+    });
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        :host { all: initial; }
+        input { box-sizing:border-box; width:100%; font:13px Roboto, Arial, sans-serif; padding:3px 6px; color:#1f1f1f; background:#fff; border:2px solid #1a73e8; border-radius:4px; outline:none; box-shadow:0 2px 6px rgba(0,0,0,.2); }
+        input[disabled] { opacity:.7; }
+        input.error { border-color:#d93025; }
+        .msg { font:11px Roboto, Arial, sans-serif; color:#fff; background:#3c4043; border-radius:4px; padding:2px 6px; margin-top:2px; }
+        .msg:empty { display:none; }
+        @media (prefers-color-scheme: dark) { input { color:#e8eaed; background:#202124; } }
+      </style>
+      <input type="text" aria-label="Rename event / 予定名を変更" />
+      <div class="msg" aria-live="polite"></div>`;
+    const input = shadow.querySelector('input');
+    const msg = shadow.querySelector('.msg');
+    input.value = value;
+    return {
+      host, input,
+      setStatus(text, isError = false) { msg.textContent = text || ''; input.classList.toggle('error', !!isError); }
+    };
+  }
+
+  function startInlineRename(chip) {
+    if (isAutomationBusy() || !isInlineRenameView()) return;
+    closeInlineField();
+    // The first click of a double-click opened the quick popup; its title is the real one
+    const eventId = chip.getAttribute('data-eventid');
+    const popup = findQuickPopupDialogs()[0];
+    let initial = (popup && extractEventId(popup) === eventId && extractTitleFromPopup(popup)) || chipTitle(chip);
+    if (popup) { focusWithin(popup); simulateKey('Escape'); }
+
+    const field = createInlineFieldUI(chip, initial);
+    inline.field = field;
+    document.body.appendChild(field.host);
+    field.input.focus();
+    field.input.select();
+
+    field.input.addEventListener('keydown', (e) => {
+      e.stopPropagation(); // keep Calendar's shortcuts out of the field
+      if (e.isComposing || e.keyCode === 229) return;
+      if (e.key === 'Escape') { e.preventDefault(); if (!inline.running) closeInlineField(); }
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        const title = normalizeTitle(field.input.value);
+        if (!title || title === initial) { closeInlineField(); return; }
+        commitInlineRename(eventId, title, field, initial).then(res => {
+          // The editor's title differed from the guess: offer the real one instead of overwriting it
+          if (res?.actualTitle === undefined || inline.field !== field) return;
+          initial = res.actualTitle;
+          field.input.value = initial;
+          field.input.select();
+        });
+      }
+    });
+    field.input.addEventListener('blur', () => { if (!inline.running && inline.field === field) closeInlineField(); });
+  }
+
+  // Same automated save path as the card: popup → full editor → title → Save.
+  // expected is the title the field started from; a different editor title aborts the save
+  // and is returned as { actualTitle }.
+  async function commitInlineRename(eventId, title, field, expected) {
+    const ctx = { routeSnap: snapshotRoute(), scrollSnap: snapshotCalendarScroll() };
+    const steps = [
+      {
+        id: 'popup',
+        label: 'Open popup / ポップアップを開く',
+        timeoutMs: settings.fieldTimeoutMs + 1000,
+        retries: 1,
+        async run(ctx, signal) {
+          // A retry reuses a popup that opened late instead of clicking the chip again
+          ctx.popup = await openEventPopup(eventId, { signal });
+          const ownerKey = extractEventOwnerKey(ctx.popup);
+          if (settings.rememberNotifyChoice && ownerKey) ctx.notifyAction = await loadNotifyPref(ownerKey);
+        }
+      },
+      {
+        id: 'open',
+        label: 'Open editor / 編集画面を開く',
+        timeoutMs: settings.openEditorTimeoutMs + 1000,
+        retries: 1,
+        async run(ctx, signal) {
+          ctx.titleInput = findTitleInput() || await openFullEditor(ctx.popup, { signal });
+        },
+        async rollback() {
+          if (findTitleInput()) await discardFullEditor();
+        }
+      },
+      {
+        id: 'fill',
+        label: 'Fill title / タイトル入力',
+        timeoutMs: settings.fieldTimeoutMs,
+        retries: 1,
+        run(ctx) {
+          ctx.before ??= ctx.titleInput.value;
+          if (normalizeTitle(ctx.before) !== normalizeTitle(expected)) {
+            const e = new Error('The event\'s title differs from the chip; it is loaded now — check it and press Enter / 予定名を読み込み直しました。確認して Enter で保存');
+            e.actualTitle = ctx.before;
+            throw e;
+          }
+          setTextInputValue(ctx.titleInput, title);
+        }
+      },
+      ...submitSteps({ scope: 'this', onStatus: (text) => field.setStatus(text) })
+    ];
+
+    inline.running = true;
+    field.input.disabled = true;
+    try {
+      await runSteps(steps, {
+        ctx,
+        onProgress(states) {
+          const cur = states.find(s => s.status === 'running');
+          if (cur) field.setStatus(`${cur.name}…`);
+        }
+      });
+      recordHistory({ eventId, source: 'inline', before: { title: ctx.before }, after: { title } });
+      noteTitle(title, 'saved');
+      logSaveResult({ source: 'inline', label: title, ok: true, message: 'Saved' });
+      closeInlineField();
+    } catch (e) {
+      warn('Inline rename failed', e);
+      logSaveResult({ source: 'inline', label: title, ok: false, message: e.message });
+      field.input.disabled = false;
+      field.input.focus();
+      if (e.actualTitle !== undefined) {
+        field.setStatus(e.message, true);
+        return { actualTitle: e.actualTitle };
+      }
+      field.setStatus(`${e.stepLabel || 'Save'} failed: ${e.message} — Enter to retry, Esc to close`, true);
+    } finally {
+      inline.running = false;
+      // Keep the grid exactly where it was
+      await restoreRouteSoft(ctx.routeSnap);
+      await restoreCalendarScrollWithRetries(ctx.scrollSnap);
+      if (typeof ctx.scrollSnap.primaryTop === 'number') lockCalendarScroll(ctx.scrollSnap.primaryTop, 1400);
+    }
+  }
+
+  function onChipDblClick(e) {
+    const chip = e.target instanceof Element && e.target.closest('[data-eventid]');
+    if (!chip || chip.closest('.gpe-host, [role="dialog"]') || bulk.selectMode || !isInlineRenameView()) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    startInlineRename(chip);
+  }
+
+  function onChipKeydown(e) {
+    if (e.key !== 'F2' || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    const chip = focusedEventChip();
+    if (!chip || chip.closest('[role="dialog"]') || !isInlineRenameView()) return;
+    e.preventDefault();
+    e.stopPropagation();
+    startInlineRename(chip);
+  }
+
+  // --- Quick create from one line ------------------------------------------
+  // "明日 15:00-16:00 定例 @会議室A", "fri 9am 30m standup": date, time range or
+  // duration, title and location (everything after @) are parsed locally, then
+  // Calendar's own create flow is driven like a save from the card.
+  const quickCreate = { panel: null, running: false };
+
+  const QC_TIME = String.raw`(?:(?:午前|午後)\s*\d{1,2}(?:[:：]\d{2}|時(?!間)(?:\d{1,2}分|半)?)?|\d{1,2}[:：]\d{2}\s*(?:am|pm)?|\d{1,2}\s*(?:am|pm)|\d{1,2}時(?!間)(?:\d{1,2}分|半)?)`;
+  const QC_TIME_RX = new RegExp(String.raw`(?<![\w:：])(?:(?:${QC_TIME}|\d{1,2})\s*(?:-|–|~|〜|～|から|to)\s*${QC_TIME}(?:まで)?|${QC_TIME}(?:から)?)(?![\w:：])`, 'i');
+  const QC_DURATION_RX = /(?<![\w.])(?:(\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?|時間)\s*(?:(\d+)\s*(?:m|mins?|minutes?|分間?)|(半))?|(\d+)\s*(?:m|mins?|minutes?|分間?))(?!\w)/i;
+  const QC_RELATIVE_RX = /(今日|本日|きょう|\btoday\b)|(明後日|あさって|\bday after tomorrow\b)|(明日|あした|\btomorrow\b|\btmrw?\b)/i;
+  const QC_WEEKDAY_EN_RX = /\b(?:(next|this)\s+)?(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)\b\.?/i;
+  const QC_WEEKDAY_JA_RX = /(来週|今週|次)?の?([日月火水木金土])曜日?/;
+  const QC_SLASH_DATE_RX = /(?<![\d/])(\d{1,2})\/(\d{1,2})(?![\d/])/;
+  // Words left dangling by a removed date/time ("at", "の", "から")
+  const QC_GLUE_RX = /(?:\b(?:at|on|from|for|in)\s+)?\u0000(?:\s*(?:の|に|で|から|まで))*/gi;
+
+  // Weekday 0-6 (Sunday first): upcoming one, or in this/next Monday-based week
+  function weekdayDate(today, dow, which) {
+    const d = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    if (!which) {
+      d.setDate(d.getDate() + ((dow - d.getDay() + 7) % 7));
+    } else {
+      d.setDate(d.getDate() - ((d.getDay() + 6) % 7) + (which === 'next' ? 7 : 0) + ((dow + 6) % 7));
+    }
+    return d;
+  }
+
+  // Returns { title, date, endDate, start, end, allDay, location, warnings }
+  function parseQuickCreate(text, now = new Date()) {
+    let rest = ` ${(text || '').replace(/\s+/g, ' ').trim()} `;
+    const warnings = [];
+    const blank = (index, length) => { rest = rest.slice(0, index) + '\u0000' + rest.slice(index + length); };
+    const take = (rx) => {
+      const m = rest.match(rx);
+      if (m) blank(m.index, m[0].length);
+      return m;
+    };
+
+    // Location first, so room names like "会議室 3F" aren't read as times
+    let location = '';
+    const at = rest.match(/\s[@＠]\s*(.*)$/);
+    if (at) { location = at[1].trim(); rest = rest.slice(0, at.index) + ' '; }
+
+    // Date: the earliest of the supported forms
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const candidates = [];
+    const rel = rest.match(QC_RELATIVE_RX);
+    if (rel) candidates.push({ m: rel, date: () => { const d = new Date(today); d.setDate(d.getDate() + (rel[1] ? 0 : rel[2] ? 2 : 1)); return dateToYmd(d); } });
+    const wdEn = rest.match(QC_WEEKDAY_EN_RX);
+    if (wdEn) candidates.push({ m: wdEn, date: () => dateToYmd(weekdayDate(today, ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(wdEn[2].slice(0, 3).toLowerCase()), wdEn[1]?.toLowerCase())) });
+    const wdJa = rest.match(QC_WEEKDAY_JA_RX);
+    if (wdJa) candidates.push({ m: wdJa, date: () => dateToYmd(weekdayDate(today, '日月火水木金土'.indexOf(wdJa[2]), { 来週: 'next', 次: 'next', 今週: 'this' }[wdJa[1]])) });
+    const abs = findDatesInText(rest, today)[0];
+    if (abs) candidates.push({ m: { index: abs.index, 0: rest.slice(abs.index, abs.end) }, date: () => abs.ymd });
+    const slash = rest.match(QC_SLASH_DATE_RX);
+    if (slash && +slash[1] >= 1 && +slash[1] <= 12 && +slash[2] >= 1 && +slash[2] <= 31) {
+      candidates.push({ m: slash, date: () => toYmd(inferYear(+slash[1], +slash[2], today), +slash[1], +slash[2]) });
+    }
+    const first = candidates.sort((a, b) => a.m.index - b.m.index)[0];
+    let date = dateToYmd(today);
+    if (first) { date = first.date(); blank(first.m.index, first.m[0].length); }
+
+    // Time range, then duration
+    const timeMatch = take(QC_TIME_RX);
+    let { start, end } = timeMatch ? parseTimeRange(timeMatch[0].replace(/時半/g, '時30分')) : { start: '', end: '' };
+    const dur = take(QC_DURATION_RX);
+    const minutes = dur ? Math.round((+dur[1] || 0) * 60 + (+dur[2] || 0) + (dur[3] ? 30 : 0) + (+dur[4] || 0)) : 0;
+    if (dur && !start) warnings.push('Duration needs a start time / 所要時間には開始時刻が必要です');
+    else if (dur && end) warnings.push('Both an end time and a duration; using the end time / 終了時刻を優先します');
+    // Ends after midnight: the end date moves on instead of wrapping to the start date
+    let endDate = date;
+    if (start && !end) {
+      const [h, m] = start.split(':').map(Number);
+      const total = h * 60 + m + (minutes || 60);
+      end = toHm(total);
+      endDate = addDaysYmd(date, Math.floor(total / (24 * 60)));
+    } else if (start && end < start) {
+      endDate = addDaysYmd(date, 1);
+    }
+    if (endDate !== date) warnings.push(`Ends on ${endDate} / ${endDate} に終了します`);
+
+    const title = rest.replace(QC_GLUE_RX, ' ').replace(/\s+/g, ' ').replace(/^[\s、,。・-]+|[\s、,。・-]+$/g, '');
+    if (!title) warnings.push('No title / タイトルがありません');
+    return { title, date, endDate, start, end, allDay: !start, location, warnings };
+  }
+
+  function findCreateButton() {
+    return Array.from(document.querySelectorAll('button, [role="button"]'))
+      .filter(el => isVisible(el) && !el.closest('.gpe-host, [role="dialog"]'))
+      .find(el => matchesAny(el.getAttribute('aria-label'), LABELS.createButton) || matchesAny((el.textContent || '').trim(), LABELS.createButton)) || null;
+  }
+
+  function findCreateMenuItem() {
+    return Array.from(document.querySelectorAll('[role="menuitem"]'))
+      .filter(isVisible).find(el => matchesAny(optionText(el).split('\n')[0], LABELS.createEvent)) || null;
+  }
+
+  function findMoreOptionsButton() {
+    return Array.from(document.querySelectorAll('div[role="dialog"] button, div[role="dialog"] [role="button"]'))
+      .filter(isVisible).find(el => matchesAny(optionText(el), LABELS.moreOptions)) || null;
+  }
+
+  // Open the full editor for a new event. Depending on the layout, Create opens a
+  // menu (Event / Task / …), a small quick-create dialog ("More options") or the editor.
+  async function openCreateEditor({ signal } = {}) {
+    const btn = findCreateButton();
+    if (btn) triggerClick(btn);
+    else {
+      log('Create button not found; trying keyboard fallback');
+      document.body.focus();
+      simulateKey('c');
+    }
+    for (let hop = 0; hop < 3; hop++) {
+      const next = await waitFor(() => findCreateMenuItem() || findMoreOptionsButton() || (findSaveButton() && findTitleInput()), { timeout: settings.openEditorTimeoutMs, signal });
+      if (next instanceof HTMLInputElement) return next;
+      triggerClick(next);
+      await delay(150);
+    }
+    throw new Error('Full editor did not open / 編集画面が開きませんでした');
+  }
+
+  function createQuickCreatePanelUI() {
+    const host = document.createElement('div');
+    host.className = 'gpe-host gpe-floating gpe-top';
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = BASE_CSS + `
+      .gpe { margin-top:0; width:380px; }
+      input.line { width:100%; box-sizing:border-box; font-size:14px; color:var(--gpe-fg); background:var(--gpe-bg); border:1px solid var(--gpe-border); border-radius:8px; padding:8px 10px; outline:none; }
+      input.line:focus { border-color:var(--gpe-primary); }
+      dl { display:grid; grid-template-columns:88px 1fr; gap:2px 8px; margin:0; font-size:12px; }
+      dt { color:var(--gpe-muted); }
+      dd { margin:0; word-break:break-word; }
+      dd:empty::before { content:'—'; color:var(--gpe-muted); }
+      .warn { font-size:11px; color:#b06000; margin:0; padding-left:16px; }
+      .hint { font-size:11px; color:var(--gpe-muted); }
+    `;
+
+    const wrap = document.createElement('div');
+    wrap.className = 'gpe';
+    wrap.innerHTML = `
+      <div class="card">
+        <div class="toolbar">
+          <div class="left"><span class="title">Quick create / 新規作成</span></div>
+          <div class="right">
+            <button class="btn ghost" data-action="close">Close</button>
+            <button class="btn primary" data-action="create" disabled>Create</button>
+          </div>
+        </div>
+        <div class="content">
+          <input type="text" class="line" aria-label="Event in one line / 1行で予定を入力" placeholder="明日 15:00-16:00 定例 @会議室A" />
+          <span class="hint">e.g. "fri 9am 30m standup" · @ 以降は場所</span>
+          <dl>
+            <dt>Title / タイトル</dt><dd class="p-title"></dd>
+            <dt>Date / 日付</dt><dd class="p-date"></dd>
+            <dt>Time / 時刻</dt><dd class="p-time"></dd>
+            <dt>Location / 場所</dt><dd class="p-location"></dd>
+          </dl>
+          <ul class="warn"></ul>
+        </div>
+        <div class="status" aria-live="polite"><span class="text"></span></div>
+      </div>
+    `;
+    shadow.appendChild(style);
+    shadow.appendChild(wrap);
+
+    const input = wrap.querySelector('.line');
+    const createBtn = wrap.querySelector('button[data-action="create"]');
+    const statusText = wrap.querySelector('.status .text');
+    return {
+      host,
+      input,
+      on(action, fn) {
+        wrap.addEventListener('click', (e) => {
+          const btn = e.target.closest('button[data-action]');
+          if (btn && btn.dataset.action === action) fn(e);
+        });
+      },
+      setStatus(msg) { statusText.textContent = msg || ''; },
+      setRunning(running) { input.disabled = !!running; createBtn.disabled = !!running; },
+      preview(p) {
+        const dow = p.date ? new Date(`${p.date}T00:00`).toLocaleDateString(undefined, { weekday: 'short' }) : '';
+        wrap.querySelector('.p-title').textContent = p.title;
+        wrap.querySelector('.p-date').textContent = p.date ? `${p.date} (${dow})` : '';
+        wrap.querySelector('.p-time').textContent = p.allDay ? 'All day / 終日'
+          : `${p.start} – ${p.endDate !== p.date ? `${p.endDate} ` : ''}${p.end}`;
+        wrap.querySelector('.p-location').textContent = p.location;
+        const warnEl = wrap.querySelector('.warn');
+        warnEl.textContent = '';
+        const whenError = validateWhen(p);
+        for (const w of [...p.warnings, whenError].filter(Boolean)) warnEl.appendChild(Object.assign(document.createElement('li'), { textContent: w }));
+        createBtn.disabled = !p.title || !!whenError;
+      }
+    };
+  }
+
+  function closeQuickCreatePanel() {
+    if (quickCreate.running) return;
+    quickCreate.panel?.host.remove();
+    quickCreate.panel = null;
+  }
+
+  function openQuickCreatePanel() {
+    if (!quickCreate.panel) {
+      const panel = createQuickCreatePanelUI();
+      quickCreate.panel = panel;
+      document.body.appendChild(panel.host);
+      const update = () => { panel.parsed = parseQuickCreate(panel.input.value); panel.preview(panel.parsed); };
+      panel.input.addEventListener('input', update);
+      panel.input.addEventListener('keydown', (e) => {
+        e.stopPropagation(); // keep Calendar's shortcuts out of the field
+        if (e.isComposing || e.keyCode === 229) return;
+        if (e.key === 'Escape') { e.preventDefault(); closeQuickCreatePanel(); }
+        if (e.key === 'Enter' && panel.parsed?.title) { e.preventDefault(); runQuickCreate(panel); }
+      });
+      panel.on('create', () => { if (panel.parsed?.title) runQuickCreate(panel); });
+      panel.on('close', closeQuickCreatePanel);
+      update();
+    }
+    quickCreate.panel.input.focus();
+  }
+
+  async function runQuickCreate(panel) {
+    if (quickCreate.running) return;
+    if (isAutomationBusy()) { panel.setStatus(BUSY_MESSAGE); return; }
+    if (findTitleInput()) { panel.setStatus('Close the open editor first / 開いている編集画面を閉じてください'); return; }
+    const p = panel.parsed;
+    const whenError = validateWhen(p);
+    if (whenError) { panel.setStatus(whenError); return; }
+    const ctx = { routeSnap: snapshotRoute(), scrollSnap: snapshotCalendarScroll() };
+    const steps = [
+      {
+        id: 'open',
+        label: 'Open editor / 編集画面を開く',
+        timeoutMs: settings.openEditorTimeoutMs * 2,
+        retries: 0, // a second Create could leave two drafts behind
+        async run(ctx, signal) {
+          ctx.titleInput = await openCreateEditor({ signal });
+        },
+        async rollback(ctx) {
+          if (findTitleInput()) await discardFullEditor();
+          else simulateKey('Escape'); // a menu or quick-create dialog may still be open
+          await restoreRouteSoft(ctx.routeSnap);
+        }
+      },
+      {
+        id: 'fill',
+        label: 'Fill fields / 入力',
+        timeoutMs: settings.fieldTimeoutMs * 3,
+        retries: 1,
+        async run(ctx, signal) {
+          setTextInputValue(ctx.titleInput, p.title);
+          // A new event starts with Calendar's defaults, so write every part
+          await applyWhenToEditor(p, { date: true, start: !p.allDay, end: !p.allDay, endDate: p.endDate !== p.date, allDay: true }, signal);
+          if (p.location) {
+            const loc = await waitFor(() => findLocationInput(), { timeout: settings.fieldTimeoutMs, signal });
+            throwIfAborted(signal);
+            setTextInputValue(loc, p.location);
+          }
+        }
+      },
+      ...submitSteps({ scope: 'this', onStatus: panel.setStatus })
+    ];
+
+    quickCreate.running = true;
+    panel.setRunning(true);
+    try {
+      await runSteps(steps, {
+        ctx,
+        onProgress(states) {
+          const cur = states.find(s => s.status === 'running');
+          if (cur) panel.setStatus(`${cur.name}…`);
+        }
+      });
+      noteTitle(p.title, 'saved');
+      logSaveResult({ source: 'create', label: p.title, ok: true, message: 'Created' });
+      panel.setStatus(`Created / 作成しました: ${p.title}`);
+      panel.input.value = '';
+    } catch (e) {
+      warn('Quick create failed', e);
+      const msg = `${e.stepLabel || 'Create'} failed: ${e.message}`;
+      logSaveResult({ source: 'create', label: p.title, ok: false, message: msg });
+      panel.setStatus(msg);
+    } finally {
+      quickCreate.running = false;
+      panel.setRunning(false);
+      if (!panel.input.value) panel.preview(panel.parsed = parseQuickCreate(''));
+      // Back to the date/view shown before
+      await restoreRouteSoft(ctx.routeSnap);
+      await restoreCalendarScrollWithRetries(ctx.scrollSnap);
+      if (typeof ctx.scrollSnap.primaryTop === 'number') lockCalendarScroll(ctx.scrollSnap.primaryTop, 1400);
+      panel.input.focus();
+    }
+  }
+
+  // Requests from extension pages (options page, toolbar popup) and the background worker
+  function onRuntimeMessage(msg, _sender, sendResponse) {
+    if (msg?.type === 'gpe:diagnostics') {
+      sendResponse({ ok: true, report: runDiagnostics() });
+    } else if (msg?.type === 'gpe:status') {
+      sendResponse({
+        ok: true,
+        version: chrome.runtime.getManifest?.().version || '',
+        lang: document.documentElement.lang || '',
+        localePacks: activeLocales,
+        cardOpen: !!document.querySelector('.gpe-host:not(.gpe-floating), .gpe-host.gpe-pinned'),
+        busy: isAutomationBusy(),
+        recent: saveLog
+      });
+    } else if (msg?.type === 'gpe:openDiagnostics') {
+      openDiagnosticsPanel();
+      sendResponse({ ok: true });
+    } else if (msg?.type === 'gpe:openStatusSummary') {
+      openStatusSummaryPanel();
+      sendResponse({ ok: true });
+    } else if (msg?.type === 'gpe:export') {
+      try { sendResponse(exportVisibleEvents(msg.format)); } catch (e) { sendResponse({ ok: false, error: e.message }); }
+    } else if (msg?.type === 'gpe:command') {
+      runCommand(msg.command).then(sendResponse, e => sendResponse({ ok: false, error: e.message }));
+      return true; // async response
+    }
+  }
+
+  function onMutations(mutations) {
+    if (bulk.selection.size) markSelectedChips();
+    if (chipPopup && !chipPopup.isConnected) { chipPopup = null; lastChipEventId = null; }
+    for (const m of mutations) {
+      for (const node of m.addedNodes) {
+        if (!(node instanceof HTMLElement)) continue;
+        // Look for quick popup
+        const dialogs = findQuickPopupDialogs(node);
+        dialogs.forEach(d => {
+          bindChipPopup(d);
+          try { injectEditorIntoPopup(d); } catch (e) { warn('inject failed', e); }
+        });
+      }
+    }
+  }
+
+  // --- Export the visible range (ICS / CSV) --------------------------------
+  // Built from the chips alone, never from a Google API. Besides the visible title,
+  // chips carry a description such as "10am to 11am, Standup, Calendar: Work, Accepted,
+  // September 15, 2024" or "終日、敬老の日、カレンダー: 日本の祝日、2024年 9月 16日".
+  const EXPORT_COLUMN_NAMES = {
+    date: 'Date', start: 'Start', endDate: 'End date', end: 'End',
+    allDay: 'All day', title: 'Title', calendar: 'Calendar', eventId: 'Event ID'
+  };
+
+  // Parse a chip description; visibleTitle (the chip's own title line) wins when present.
+  // Returns { title, date, endDate, start, end, allDay, calendar } or null without a date.
+  function parseChipLabel(text, visibleTitle, ref = routeRefDate()) {
+    const parts = text.split(/\s*[,、，]\s*/).filter(Boolean);
+    const calendarPart = parts.find(p => matchesAny(p, LABELS.calendarField)) || '';
+    const calendar = calendarPart.replace(/^[^:：]+[:：]\s*/, '');
+    let allDay = parts.some(p => matchesAny(p, LABELS.allDay));
+    const title = visibleTitle
+      || parts.find(p => p !== calendarPart && !matchesAny(p, LABELS.allDay) && !parseTimeRange(p).start && !findDatesInText(p, ref).length)
+      || '';
+    // Dates and times are read around the title, so digits in it are not taken for them
+    const at = title ? text.indexOf(title) : -1;
+    const rest = at >= 0 ? text.slice(0, at) + ' '.repeat(title.length) + text.slice(at + title.length) : text;
+    const dates = findDatesInText(rest, ref);
+    const date = dates[0]?.ymd || (/\/r\/day\b/.test(location.pathname) ? dateToYmd(ref) : '');
+    if (!date) return null;
+    let endDate = dates[1]?.ymd || date;
+    let start = '';
+    let end = '';
+    if (!allDay) {
+      let head = at >= 0 ? rest.slice(0, at) : rest.replace(calendarPart, ' ');
+      for (const d of findDatesInText(head, ref).reverse()) head = head.slice(0, d.index) + ' '.repeat(d.end - d.index) + head.slice(d.end);
+      ({ start, end } = parseTimeRange(head.replace(WEEKDAY_RX, ' ')));
+      allDay = !start;
+    }
+    // Past midnight: "11pm to 1am" ends the next day
+    if (!allDay && end && end < start && endDate === date) endDate = addDaysYmd(date, 1);
+    return { title, date, endDate, start, end, allDay, calendar };
+  }
+
+  // Every event chip in the view (day/week/month/schedule), one per event, in date order
+  function readVisibleEvents() {
+    const ref = routeRefDate();
+    const seen = new Set();
+    const events = [];
+    let skipped = 0;
+    document.querySelectorAll('[data-eventid]').forEach(chip => {
+      const eventId = chip.getAttribute('data-eventid');
+      if (seen.has(eventId) || chip.closest('.gpe-host, [role="dialog"]')) return;
+      seen.add(eventId);
+      const lines = [chip.getAttribute('aria-label') || '', ...(chip.innerText || chip.textContent || '').split('\n')]
+        .map(t => t.trim()).filter(Boolean);
+      const text = lines.find(t => findDatesInText(t, ref).length) || lines[0] || '';
+      const visible = lines.find(t => t !== text && t !== chip.getAttribute('aria-label')) || '';
+      const ev = text && parseChipLabel(text, visible.replace(CHIP_TIME_PREFIX_RX, ''), ref);
+      if (ev) events.push({ eventId, ...ev });
+      else skipped++;
+    });
+    events.sort((a, b) => a.date.localeCompare(b.date) || (+!a.allDay - +!b.allDay) || a.start.localeCompare(b.start));
+    return { events, skipped };
+  }
+
+  function icsEscape(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold content lines at 75 octets (RFC 5545 3.1) without splitting a character
+  function icsFold(line) {
+    const enc = new TextEncoder();
+    const out = [];
+    let cur = '';
+    let bytes = 0;
+    for (const ch of line) {
+      const n = enc.encode(ch).length;
+      if (bytes + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; bytes = 0; }
+      cur += ch;
+      bytes += n;
+    }
+    out.push(cur);
+    return out.join('\r\n ');
+  }
+
+  function icsUtc(ymd, hm) {
+    const [y, m, d] = ymd.split('-').map(Number);
+    const [h, min] = hm.split(':').map(Number);
+    return new Date(y, m - 1, d, h, min).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  function buildIcs(events) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//GCal Popup Editor//Export//EN', 'CALSCALE:GREGORIAN'];
+    for (const ev of events) {
+      lines.push('BEGIN:VEVENT', `UID:${ev.eventId}@gcal-popup-editor`, `DTSTAMP:${stamp}`);
+      if (ev.allDay) {
+        // DTEND is exclusive for dates
+        lines.push(`DTSTART;VALUE=DATE:${ev.date.replace(/-/g, '')}`, `DTEND;VALUE=DATE:${addDaysYmd(ev.endDate, 1).replace(/-/g, '')}`);
+      } else {
+        lines.push(`DTSTART:${icsUtc(ev.date, ev.start)}`);
+        if (ev.end) lines.push(`DTEND:${icsUtc(ev.endDate, ev.end)}`);
+      }
+      lines.push(`SUMMARY:${icsEscape(ev.title)}`);
+      if (ev.calendar) lines.push(`CATEGORIES:${icsEscape(ev.calendar)}`);
+      lines.push('END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+  }
+
+  // Titles come from other people's invitations: a leading =, +, -, @, tab or CR would be
+  // run as a formula by spreadsheet apps, so such cells get a leading '
+  function csvCell(v) {
+    let s = typeof v === 'boolean' ? (v ? 'TRUE' : 'FALSE') : String(v ?? '');
+    if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // BOM so spreadsheet apps read the UTF-8 (Japanese titles) correctly
+  function buildCsv(events, columns) {
+    const rows = [columns.map(c => EXPORT_COLUMN_NAMES[c]), ...events.map(ev => columns.map(c => ev[c]))];
+    return '\uFEFF' + rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // format: 'ics' | 'csv'; returns { ok, count, skipped } or { ok: false, error }
+  function exportVisibleEvents(format) {
+    const { events, skipped } = readVisibleEvents();
+    if (!events.length) return { ok: false, error: 'No events could be read in this view / 書き出せる予定がありません' };
+    const range = `${events[0].date}_${events[events.length - 1].endDate}`;
+    if (format === 'csv') downloadText(`calendar-${range}.csv`, buildCsv(events, settings.exportColumns), 'text/csv');
+    else downloadText(`calendar-${range}.ics`, buildIcs(events), 'text/calendar');
+    log('Exported', events.length, 'events as', format, skipped ? `(${skipped} skipped)` : '');
+    return { ok: true, count: events.length, skipped };
+  }
+
+  // --- Task status: cycle command and summary panel ------------------------
+  // Statuses come from the title prefixes in settings.statusCycle (see titleStatus);
+  // the summary reads the same chips as the export, so it covers the visible range only.
+  const taskStatus = { running: false, panel: null };
+
+  // "cycle-status" command: next status for one event, saved right away
+  async function cycleStatusOn(chip) {
+    if (!settings.statusCycle.length) return { ok: false, error: 'No task statuses set in the options / オプションで状態が未設定です' };
+    const eventId = chip.getAttribute('data-eventid');
+    const label = chipLabel(chip);
+    const routeSnap = snapshotRoute();
+    const scrollSnap = snapshotCalendarScroll();
+    taskStatus.running = true;
+    try {
+      const res = await bulkEditOne(eventId, { kind: 'cycleStatus' }, 'status');
+      if (res.changed) logSaveResult({ source: 'status', label: res.message, ok: true, message: 'Saved' });
+      return { ok: true, title: res.message };
+    } catch (e) {
+      warn('Status change failed', eventId, e);
+      logSaveResult({ source: 'status', label, ok: false, message: e.message });
+      await discardFullEditor();
+      return { ok: false, error: e.message };
+    } finally {
+      taskStatus.running = false;
+      await restoreRouteSoft(routeSnap);
+      await restoreCalendarScrollWithRetries(scrollSnap);
+    }
+  }
+
+  // Rows of counts per status (cycle order, then "no status"): the whole range, each day, each calendar
+  function summarizeTaskStatuses(events, cycle, palette) {
+    const withStatus = events.map(ev => ({ ...ev, status: titleStatus(ev.title, cycle, palette) }));
+    const statuses = [...cycle, ''];
+    const row = (group, label, list) => ({ group, label, total: list, cells: statuses.map(s => list.filter(ev => ev.status === s)) });
+    const groupBy = (keyOf) => {
+      const groups = new Map();
+      for (const ev of withStatus) {
+        const key = keyOf(ev);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(ev);
+      }
+      return [...groups];
+    };
+    return {
+      statuses,
+      rows: [
+        row('total', 'All / すべて', withStatus),
+        ...groupBy(ev => ev.date).map(([date, list]) => row('day', date, list)),
+        ...groupBy(ev => ev.calendar).sort((a, b) => a[0].localeCompare(b[0])).map(([name, list]) => row('calendar', name || '—', list))
+      ]
+    };
+  }
+
+  function createStatusSummaryPanelUI() {
+    const host = document.createElement('div');
+    host.className = 'gpe-host gpe-floating gpe-left gpe-top';
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = BASE_CSS + `
+      .gpe { margin-top:0; width:400px; }
+      .table-wrap { max-height:300px; overflow:auto; }
+      table { width:100%; border-collapse:collapse; font-size:12px; }
+      th { font-weight:500; color:var(--gpe-muted); padding:2px 4px; text-align:right; white-space:nowrap; }
+      td { padding:2px 4px; border-top:1px solid var(--gpe-border); text-align:right; }
+      th:first-child, td:first-child { text-align:left; }
+      td:first-child { max-width:140px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+      tr.group th { text-align:left; padding-top:8px; }
+      .count { border:0; background:none; color:var(--gpe-primary); cursor:pointer; font:inherit; padding:0 2px; }
+      .count[aria-pressed="true"] { font-weight:700; text-decoration:underline; }
+      .zero { color:var(--gpe-muted); }
+      .matches-title { font-size:12px; font-weight:500; }
+      .matches { list-style:none; margin:0; padding:0; max-height:200px; overflow:auto; font-size:12px; }
+      .matches button { width:100%; display:flex; gap:6px; border:0; background:none; color:var(--gpe-fg); cursor:pointer; padding:3px 2px; font:inherit; text-align:left; }
+      .matches button:hover { background: color-mix(in srgb, var(--gpe-primary) 14%, var(--gpe-bg)); }
+      .matches .when { color:var(--gpe-muted); flex:none; }
+      .matches .name { min-width:0; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+    `;
+
+    const wrap = document.createElement('div');
+    wrap.className = 'gpe';
+    wrap.innerHTML = `
+      <div class="card">
+        <div class="toolbar">
+          <div class="left">
+            <span class="title">Task status / タスクの状態</span>
+            <span class="badge count-total">0</span>
+          </div>
+          <div class="right">
+            <button class="btn ghost" data-action="refresh" title="Count the visible events again / 表示中の予定を再集計">Refresh</button>
+            <button class="btn ghost" data-action="close">Close</button>
+          </div>
+        </div>
+        <div class="content">
+          <div class="table-wrap">
+            <table>
+              <thead><tr></tr></thead>
+              <tbody></tbody>
+            </table>
+          </div>
+          <div class="matches-title hidden"></div>
+          <ul class="matches"></ul>
+        </div>
+        <div class="status" aria-live="polite"><span class="text"></span></div>
+      </div>
+    `;
+    shadow.appendChild(style);
+    shadow.appendChild(wrap);
+
+    const headRow = wrap.querySelector('thead tr');
+    const tbody = wrap.querySelector('tbody');
+    const matchesTitle = wrap.querySelector('.matches-title');
+    const matchesEl = wrap.querySelector('.matches');
+    const statusText = wrap.querySelector('.status .text');
+    const groupLabels = { day: 'Day / 日付', calendar: 'Calendar / カレンダー' };
+    let summary = { statuses: [], rows: [] };
+
+    function cell(tag, text, className = '') {
+      const el = document.createElement(tag);
+      el.textContent = text;
+      if (className) el.className = className;
+      return el;
+    }
+
+    function showMatches(title, list) {
+      matchesTitle.textContent = title;
+      matchesTitle.classList.remove('hidden');
+      matchesEl.textContent = '';
+      for (const ev of list) {
+        const li = document.createElement('li');
+        li.innerHTML = '<button data-event-id><span class="when"></span><span class="name"></span></button>';
+        li.querySelector('button').dataset.eventId = ev.eventId;
+        li.querySelector('.when').textContent = `${ev.date} ${ev.allDay ? '終日' : ev.start}`;
+        li.querySelector('.name').textContent = ev.title || '(untitled)';
+        li.querySelector('button').title = 'Open in quick edit / クイック編集で開く';
+        matchesEl.appendChild(li);
+      }
+    }
+
+    function clearMatches() {
+      matchesTitle.classList.add('hidden');
+      matchesEl.textContent = '';
+    }
+
+    function render() {
+      const { statuses, rows } = summary;
+      headRow.textContent = '';
+      headRow.append(cell('th', ''), ...statuses.map(s => cell('th', s || 'None / なし')), cell('th', 'Total / 計'));
+      tbody.textContent = '';
+      let group = 'total';
+      rows.forEach((row, r) => {
+        if (row.group !== group) {
+          group = row.group;
+          const tr = document.createElement('tr');
+          tr.className = 'group';
+          const th = cell('th', groupLabels[group] || group);
+          th.colSpan = statuses.length + 2;
+          tr.appendChild(th);
+          tbody.appendChild(tr);
+        }
+        const tr = document.createElement('tr');
+        const name = cell('td', row.label);
+        name.title = row.label;
+        tr.appendChild(name);
+        [...row.cells, row.total].forEach((list, c) => {
+          const td = document.createElement('td');
+          if (list.length) {
+            const btn = cell('button', String(list.length), 'count');
+            btn.dataset.row = String(r);
+            btn.dataset.col = String(c);
+            btn.setAttribute('aria-pressed', 'false');
+            td.appendChild(btn);
+          } else td.appendChild(cell('span', '0', 'zero'));
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      });
+      wrap.querySelector('.count-total').textContent = String(rows[0]?.total.length || 0);
+    }
+
+    wrap.addEventListener('click', (e) => {
+      const btn = e.target.closest('button.count');
+      if (!btn) return;
+      const row = summary.rows[Number(btn.dataset.row)];
+      const col = Number(btn.dataset.col);
+      const list = col < row.cells.length ? row.cells[col] : row.total;
+      const status = col < row.cells.length ? (summary.statuses[col] || 'None / なし') : 'Total / 計';
+      wrap.querySelectorAll('button.count').forEach(b => b.setAttribute('aria-pressed', String(b === btn)));
+      showMatches(`${row.label} · ${status} (${list.length})`, list);
+    });
+
+    // Keep Calendar's keyboard shortcuts out of the panel
+    shadow.addEventListener('keydown', (e) => { e.stopPropagation(); });
+
+    return {
+      host,
+      on(action, fn) {
+        wrap.addEventListener('click', (e) => {
+          const btn = e.target.closest('button[data-action]');
+          if (btn && btn.dataset.action === action) fn(e);
+        });
+      },
+      onOpenEvent(fn) {
+        wrap.addEventListener('click', (e) => {
+          const btn = e.target.closest('button[data-event-id]');
+          if (btn) fn(btn.dataset.eventId);
+        });
+      },
+      render(next) { summary = next; clearMatches(); render(); },
+      setStatus(msg) { statusText.textContent = msg || ''; }
+    };
+  }
+
+  function refreshStatusSummary() {
+    const panel = taskStatus.panel;
+    if (!panel) return;
+    const { events, skipped } = readVisibleEvents();
+    panel.render(summarizeTaskStatuses(events, settings.statusCycle, settings.prefixPalette));
+    panel.setStatus(!settings.statusCycle.length ? 'No task statuses set in the options / オプションで状態が未設定です'
+      : skipped ? `${skipped} events could not be read / ${skipped} 件は読み取れませんでした` : '');
+  }
+
+  function openStatusSummaryPanel() {
+    if (!taskStatus.panel) {
+      const panel = createStatusSummaryPanelUI();
+      taskStatus.panel = panel;
+      document.body.appendChild(panel.host);
+      panel.on('refresh', refreshStatusSummary);
+      panel.on('close', () => { panel.host.remove(); taskStatus.panel = null; });
+      panel.onOpenEvent(async (eventId) => {
+        if (isAutomationBusy()) return;
+        const chip = findEventChip(eventId);
+        if (!chip) { panel.setStatus('Event not visible / 予定が表示されていません'); return; }
+        try { await openQuickEditOn(chip); } catch (e) { panel.setStatus(`Error: ${e.message}`); }
+      });
+    }
+    refreshStatusSummary();
+  }
+
+  // --- Title suggestion index (storage in src/titles.js) -------------------
+  let titleIndex = { entries: {}, excluded: [] };
+
+  function noteTitle(title, kind) {
+    if (!settings.titleSuggestions || !title) return;
+    globalThis.GPETitles.note(title, kind).catch(e => warn('title index save failed', e));
+  }
+
+  async function loadTitleIndex() {
+    titleIndex = await globalThis.GPETitles.load();
+    globalThis.GPETitles.subscribe((next) => { titleIndex = next; });
+  }
+
+  // --- Guest address suggestions (chrome.storage.local) --------------------
+  const GUEST_ADDRESSES_KEY = 'gpe:guestAddresses';
+  const GUEST_ADDRESSES_MAX = 300;
+  let guestAddresses = {}; // address → last seen (ms)
+
+  // Writes run one at a time so popups opened in quick succession don't drop addresses
+  let guestAddressesQueue = Promise.resolve();
+  function noteGuestAddresses(list) {
+    if (!settings.guestSuggestions || !list?.length) return guestAddressesQueue;
+    guestAddressesQueue = guestAddressesQueue.then(async () => {
+      const all = (await chrome.storage.local.get(GUEST_ADDRESSES_KEY))[GUEST_ADDRESSES_KEY] || {};
+      const now = Date.now();
+      for (const email of list) all[email] = now;
+      const keep = Object.entries(all).sort((a, b) => b[1] - a[1]).slice(0, GUEST_ADDRESSES_MAX);
+      await chrome.storage.local.set({ [GUEST_ADDRESSES_KEY]: Object.fromEntries(keep) });
+    }).catch(e => warn('guest address save failed', e));
+    return guestAddressesQueue;
+  }
+
+  function suggestGuestAddresses() {
+    if (!settings.guestSuggestions) return [];
+    return Object.keys(guestAddresses).sort((a, b) => guestAddresses[b] - guestAddresses[a]);
+  }
+
+  async function loadGuestAddresses() {
+    try { guestAddresses = (await chrome.storage.local.get(GUEST_ADDRESSES_KEY))[GUEST_ADDRESSES_KEY] || {}; } catch {}
+    try {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[GUEST_ADDRESSES_KEY]) guestAddresses = changes[GUEST_ADDRESSES_KEY].newValue || {};
+      });
+    } catch {}
+  }
+
+  // --- Settings ------------------------------------------------------------
+  const editorByHost = new WeakMap();
+
+  async function loadSettings() {
+    Object.assign(settings, await globalThis.GPESettings.load());
+    applyLocale();
+    globalThis.GPESettings.subscribe((next, keys) => {
+      Object.assign(settings, next);
+      if (keys.includes('localePacks') || keys.includes('labelOverrides')) applyLocale();
+      // Re-layout open cards; other settings are read at use time
+      document.querySelectorAll('.gpe-host').forEach(host => editorByHost.get(host)?.refresh());
+      log('Settings updated', next);
+    });
+  }
+
+  async function boot() {
+    // If we just returned to a saved URL, restore scroll ASAP
+    attemptApplyPendingRestore();
+    await loadSettings();
+    await loadTitleIndex();
+    await loadGuestAddresses();
+    // Initial sweep
+    findQuickPopupDialogs().forEach(d => {
+      try { injectEditorIntoPopup(d); } catch (e) { warn('inject failed', e); }
+    });
+
+    try { chrome.runtime.onMessage.addListener(onRuntimeMessage); } catch (e) { warn('message listener failed', e); }
+
+    // Shift+click multi-select for bulk operations
+    ['mousedown', 'mouseup', 'click'].forEach(type => document.addEventListener(type, onChipPointer, true));
+    // Double-click or F2 on a chip renames it in place
+    document.addEventListener('dblclick', onChipDblClick, true);
+    document.addEventListener('keydown', onChipKeydown, true);
 
     // Observe
     const obs = new MutationObserver(onMutations);
@@ -0,0 +1,54 @@
+/*
+  GCal Popup Editor - edit history
+  - Log of successful saves, newest first, kept in chrome.storage.local
+  - Entry: { id, t, eventId, label, source, changed: [field], before: {...}, after: {...} }
+  - Exposed as globalThis.GPEHistory (classic script, no modules)
+*/
+
+(() => {
+  const KEY = 'gpe:history';
+  const MAX_ENTRIES = 300;
+
+  async function load() {
+    try {
+      const list = (await chrome.storage.local.get(KEY))[KEY];
+      return Array.isArray(list) ? list : [];
+    } catch { return []; }
+  }
+
+  // Load-modify-write on one key, one at a time so quick saves don't drop entries
+  let queue = Promise.resolve();
+  function serialized(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function append(entry) {
+    const rec = { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`, t: Date.now(), ...entry };
+    return serialized(async () => {
+      const list = await load();
+      list.unshift(rec);
+      await chrome.storage.local.set({ [KEY]: list.slice(0, MAX_ENTRIES) });
+      return rec;
+    });
+  }
+
+  function clear() {
+    return serialized(() => chrome.storage.local.remove(KEY));
+  }
+
+  // Calls fn(list) whenever the history changes
+  function subscribe(fn) {
+    let listener = null;
+    try {
+      listener = (changes, areaName) => {
+        if (areaName === 'local' && changes[KEY]) fn(changes[KEY].newValue || []);
+      };
+      chrome.storage.onChanged.addListener(listener);
+    } catch {}
+    return () => { try { chrome.storage.onChanged.removeListener(listener); } catch {} };
+  }
+
+  globalThis.GPEHistory = { KEY, MAX_ENTRIES, load, append, clear, subscribe };
+})();
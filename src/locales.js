@@ -0,0 +1,476 @@
+/*
+  GCal Popup Editor - locale packs
+  - Regex label sets used to find Calendar UI elements, one pack per UI language
+  - The content script merges the packs for the Calendar document's lang (plus JP/EN)
+    and any user overrides from the options page into its LABELS table
+  - Exposed as globalThis.GPELocales (classic script, no modules)
+
+  Notes:
+  - Colour names (color*) exist for JP/EN only; other languages can add them as overrides.
+  - Anchored patterns (^…$) match button/field labels exactly; unanchored ones match
+    anywhere in a text block (dialogs, toasts, recurrence summaries).
+  - Never add a pattern that could match a destructive button ("Delete event"):
+    `discard` is clicked to throw away unsaved changes.
+*/
+
+(() => {
+  // Label keys with a short description (shown on the options page)
+  const KEYS = {
+    editEvent: 'Popup button that opens the full editor',
+    title: 'Title field label/placeholder',
+    description: 'Description field label/placeholder',
+    save: 'Save button in the full editor',
+    discard: 'Confirm discarding unsaved changes',
+    close: 'Close button of the full editor',
+    allDay: 'All-day checkbox',
+    startDate: 'Start date field',
+    startTime: 'Start time field',
+    endTime: 'End time field',
+    endDate: 'End date field',
+    recurrence: 'Recurrence summary in the popup',
+    scopeThis: 'Recurring dialog: this event',
+    scopeFollowing: 'Recurring dialog: this and following events',
+    scopeAll: 'Recurring dialog: all events',
+    ok: 'OK button in dialogs',
+    send: 'Send-updates prompt: send button',
+    dontSend: 'Send-updates prompt: don\'t send button',
+    updatePrompt: 'Send-updates prompt text',
+    toast: 'Saved/undo notification text',
+    calendarRegion: 'aria-label of the main calendar area',
+    organizer: 'Organizer marker in the guest list',
+    calendarField: 'aria-label prefix of the calendar name in the popup',
+    colorMenu: 'Event colour button in the full editor',
+    calendarSelect: 'Calendar selector in the full editor',
+    createButton: 'Create button in the main menu',
+    createEvent: 'Create menu: event entry',
+    moreOptions: 'Quick-create dialog: open the full editor',
+    location: 'Location field in the full editor',
+    locationField: 'aria-label prefix of the location in the popup',
+    addConference: 'Full editor: add Google Meet video conferencing',
+    removeConference: 'Full editor: remove the conferencing attachment',
+    reminderAdd: 'Full editor: add notification button',
+    reminderRemove: 'Full editor: remove notification button',
+    reminderValue: 'Full editor: notification amount field',
+    unitMinutes: 'Notification unit: minutes',
+    unitHours: 'Notification unit: hours',
+    unitDays: 'Notification unit: days',
+    unitWeeks: 'Notification unit: weeks',
+    methodPopup: 'Notification method: notification (popup)',
+    methodEmail: 'Notification method: email',
+    guestInput: 'Full editor: add guests field',
+    guestRemove: 'Full editor: remove button on a guest row',
+    inviteExternal: 'Dialog: confirm inviting guests outside the organisation',
+    // Event colour menu entries (Calendar's fixed palette)
+    colorDefault: 'Colour menu: calendar\'s own colour',
+    colorTomato: 'Colour menu: Tomato',
+    colorFlamingo: 'Colour menu: Flamingo',
+    colorTangerine: 'Colour menu: Tangerine',
+    colorBanana: 'Colour menu: Banana',
+    colorSage: 'Colour menu: Sage',
+    colorBasil: 'Colour menu: Basil',
+    colorPeacock: 'Colour menu: Peacock',
+    colorBlueberry: 'Colour menu: Blueberry',
+    colorLavender: 'Colour menu: Lavender',
+    colorGrape: 'Colour menu: Grape',
+    colorGraphite: 'Colour menu: Graphite'
+  };
+
+  const PACKS = {
+    en: {
+      name: 'English',
+      editEvent: [/^edit\s*event$/i, /^edit$/i, /^open\s*detailed\s*view$/i],
+      title: [/^title$/i, /^event\s*title$/i, /^add\s*title$/i],
+      description: [/^description$/i, /^notes?$/i, /^add\s*description$/i],
+      save: [/^save$/i, /^save\s*&\s*close$/i, /^update$/i, /^done$/i],
+      discard: [/^discard/i],
+      close: [/^close$/i, /^discard\s*changes$/i],
+      allDay: [/^all\s*day$/i],
+      startDate: [/^start\s*date$/i],
+      startTime: [/^start\s*time$/i],
+      endTime: [/^end\s*time$/i],
+      endDate: [/^end\s*date$/i],
+      recurrence: [/\b(daily|weekly|monthly|annually|yearly)\b/i, /\bevery\s+(day|week|month|year|weekday|other|\d+)/i],
+      scopeThis: [/^this\s*event$/i],
+      scopeFollowing: [/^this\s*and\s*following\s*events$/i],
+      scopeAll: [/^all\s*events$/i],
+      ok: [/^ok$/i],
+      send: [/^send$/i],
+      dontSend: [/don't\s*send/i],
+      updatePrompt: [/update|send|guest/i],
+      toast: [/undo|saved|updated/i],
+      calendarRegion: [/calendar|main/i],
+      organizer: [/organi[sz]er/i],
+      calendarField: [/^calendar\s*[:：]/i],
+      colorMenu: [/^event\s*colou?r/i, /^colou?r$/i],
+      calendarSelect: [/^calendar$/i],
+      createButton: [/^create$/i],
+      createEvent: [/^event$/i],
+      moreOptions: [/^more\s*options$/i],
+      location: [/^(add\s*)?location$/i, /^add\s*rooms?\s*or\s*location$/i],
+      locationField: [/^location\s*[:：]/i],
+      addConference: [/^add\s*google\s*meet/i, /^add\s*video\s*conferencing/i],
+      removeConference: [/^remove\s*(video\s*)?conferenc/i, /^remove\s*(google\s*)?meet/i],
+      reminderAdd: [/^add\s*(a\s*)?notification$/i],
+      reminderRemove: [/^remove\s*notification$/i],
+      reminderValue: [/^notification\s*time$/i, /^(notification|reminder)\s*(value|amount)$/i],
+      unitMinutes: [/^minutes?(\s*before)?$/i],
+      unitHours: [/^hours?(\s*before)?$/i],
+      unitDays: [/^days?(\s*before)?$/i],
+      unitWeeks: [/^weeks?(\s*before)?$/i],
+      methodPopup: [/^notification$/i],
+      methodEmail: [/^e-?mail$/i],
+      guestInput: [/^add\s*guests?$/i, /^guests?$/i],
+      guestRemove: [/^remove(\s|$)/i],
+      inviteExternal: [/^invite\s*(external\s*guests|anyway)$/i],
+      colorDefault: [/^(calendar|default)\s*colou?r/i],
+      colorTomato: [/^tomato/i],
+      colorFlamingo: [/^flamingo/i],
+      colorTangerine: [/^tangerine/i],
+      colorBanana: [/^banana/i],
+      colorSage: [/^sage/i],
+      colorBasil: [/^basil/i],
+      colorPeacock: [/^peacock/i],
+      colorBlueberry: [/^blueberry/i],
+      colorLavender: [/^lavender/i],
+      colorGrape: [/^grape/i],
+      colorGraphite: [/^graphite/i]
+    },
+    ja: {
+      name: '日本語',
+      editEvent: [/^詳細を表示/, /^予定を編集/, /^編集$/],
+      title: [/^タイトル$/, /^タイトルを追加$/, /^件名$/, /^件名を追加$/],
+      description: [/^説明$/, /^説明を追加$/, /^メモ$/, /^メモを追加$/],
+      save: [/^保存$/, /^保存して閉じる$/, /^更新$/, /^完了$/, /^送信$/],
+      discard: [/^破棄$/],
+      close: [/^閉じる$/],
+      allDay: [/^終日$/],
+      startDate: [/^開始日$/],
+      startTime: [/^開始時間$/, /^開始時刻$/],
+      endTime: [/^終了時間$/, /^終了時刻$/],
+      endDate: [/^終了日$/],
+      recurrence: [/毎日|毎週|毎月|毎年|平日|\d+\s*(日|週間|か月|ヶ月|年)ごと/],
+      scopeThis: [/^この予定$/],
+      scopeFollowing: [/^これ以降のすべての予定$/, /^この予定以降/],
+      scopeAll: [/^すべての予定$/],
+      ok: [/^確定$/],
+      send: [/^送信$/, /^更新を送信/, /^ゲストに送信/],
+      dontSend: [/^送信しない$/],
+      updatePrompt: [/更新|送信|ゲスト/],
+      toast: [/保存|更新|元に戻す/],
+      calendarRegion: [/カレンダー|メイン/],
+      organizer: [/主催者/],
+      calendarField: [/^カレンダー\s*[:：]/],
+      colorMenu: [/^予定の色/, /^イベントの色/, /^色$/],
+      calendarSelect: [/^カレンダー$/],
+      createButton: [/^作成$/],
+      createEvent: [/^予定$/, /^イベント$/],
+      moreOptions: [/^その他のオプション$/],
+      location: [/^場所(を追加)?$/, /^会議室または場所を追加$/],
+      locationField: [/^場所\s*[:：]/],
+      addConference: [/Google\s*Meet.*追加/i, /ビデオ会議を追加/],
+      removeConference: [/(ビデオ)?会議(情報)?を削除/, /Google\s*Meet.*削除/i],
+      reminderAdd: [/^通知を追加$/],
+      reminderRemove: [/^通知を削除$/],
+      reminderValue: [/^通知(の)?時間$/, /^通知のタイミング$/],
+      unitMinutes: [/^分(前)?$/],
+      unitHours: [/^時間(前)?$/],
+      unitDays: [/^日(前)?$/],
+      unitWeeks: [/^週間?(前)?$/],
+      methodPopup: [/^通知$/],
+      methodEmail: [/^(メール|Eメール)$/],
+      guestInput: [/^ゲストを追加$/, /^ゲスト$/],
+      guestRemove: [/^削除/, /を削除$/],
+      inviteExternal: [/^招待する$/, /^外部ゲストを招待/],
+      colorDefault: [/^(カレンダーの色|デフォルトの色|既定の色)/],
+      colorTomato: [/^トマト/],
+      colorFlamingo: [/^フラミンゴ/],
+      colorTangerine: [/^ミカン/, /^みかん/],
+      colorBanana: [/^バナナ/],
+      colorSage: [/^セージ/],
+      colorBasil: [/^バジル/],
+      colorPeacock: [/^ピーコック/],
+      colorBlueberry: [/^ブルーベリー/],
+      colorLavender: [/^ラベンダー/],
+      colorGrape: [/^ブドウ/, /^ぶどう/],
+      colorGraphite: [/^グラファイト/]
+    },
+    de: {
+      name: 'Deutsch',
+      editEvent: [/^termin\s*bearbeiten$/i, /^bearbeiten$/i, /^detailansicht\s*öffnen$/i],
+      title: [/^titel$/i, /^titel\s*hinzufügen$/i],
+      description: [/^beschreibung$/i, /^beschreibung\s*hinzufügen$/i, /^notizen?$/i],
+      save: [/^speichern$/i, /^aktualisieren$/i, /^fertig$/i],
+      discard: [/^verwerfen/i],
+      close: [/^schließen$/i],
+      allDay: [/^ganztägig$/i],
+      startDate: [/^startdatum$/i],
+      startTime: [/^startzeit$/i],
+      endTime: [/^endzeit$/i],
+      endDate: [/^enddatum$/i],
+      recurrence: [/täglich|wöchentlich|monatlich|jährlich|\bjede[nrs]?\s/i],
+      scopeThis: [/^dieser\s*termin$/i],
+      scopeFollowing: [/^dieser\s*und\s*alle\s*folgenden\s*termine$/i],
+      scopeAll: [/^alle\s*termine$/i],
+      ok: [/^ok$/i],
+      send: [/^senden$/i],
+      dontSend: [/^nicht\s*senden$/i],
+      updatePrompt: [/aktualisierung|senden|gäste|gast/i],
+      toast: [/rückgängig|gespeichert|aktualisiert/i],
+      calendarRegion: [/kalender|haupt/i],
+      organizer: [/organisator/i],
+      calendarField: [/^kalender\s*[:：]/i],
+      colorMenu: [/^(termin|ereignis)farbe/i, /^farbe$/i],
+      calendarSelect: [/^kalender$/i],
+      createButton: [/^erstellen$/i],
+      createEvent: [/^termin$/i],
+      moreOptions: [/^weitere\s*optionen$/i],
+      location: [/^ort(\s*hinzufügen)?$/i],
+      locationField: [/^ort\s*[:：]/i],
+      addConference: [/google\s*meet.*hinzufügen/i, /videokonferenz\s*hinzufügen/i],
+      removeConference: [/konferenz\s*entfernen/i],
+      reminderAdd: [/^benachrichtigung\s*hinzufügen$/i],
+      reminderRemove: [/^benachrichtigung\s*entfernen$/i],
+      reminderValue: [/^benachrichtigungs?zeit$/i],
+      unitMinutes: [/^minuten?(\s*vorher)?$/i],
+      unitHours: [/^stunden?(\s*vorher)?$/i],
+      unitDays: [/^tagen?(\s*vorher)?$/i, /^tage$/i],
+      unitWeeks: [/^wochen?(\s*vorher)?$/i],
+      methodPopup: [/^benachrichtigung$/i],
+      methodEmail: [/^e-?mail$/i],
+      guestInput: [/^gäste\s*hinzufügen$/i],
+      guestRemove: [/^entfernen/i, /entfernen$/i],
+      inviteExternal: [/^(trotzdem|externe\s*gäste)\s*einladen$/i]
+    },
+    fr: {
+      name: 'Français',
+      editEvent: [/^modifier\s*l['’]événement$/i, /^modifier$/i, /^ouvrir\s*la\s*vue\s*détaillée$/i],
+      title: [/^titre$/i, /^ajouter\s*un\s*titre$/i],
+      description: [/^description$/i, /^ajouter\s*une\s*description$/i],
+      save: [/^enregistrer$/i, /^mettre\s*à\s*jour$/i, /^terminé$/i],
+      discard: [/^ignorer/i],
+      close: [/^fermer$/i],
+      allDay: [/^toute\s*la\s*journée$/i],
+      startDate: [/^date\s*de\s*début$/i],
+      startTime: [/^heure\s*de\s*début$/i],
+      endTime: [/^heure\s*de\s*fin$/i],
+      endDate: [/^date\s*de\s*fin$/i],
+      recurrence: [/tous\s*les\s*(jours|ans|mois)|toutes\s*les\s*semaines|chaque\s*(jour|semaine|mois|année)|quotidien|hebdomadaire|mensuel|annuel/i],
+      scopeThis: [/^cet\s*événement$/i],
+      scopeFollowing: [/^cet\s*événement\s*et\s*les\s*suivants$/i],
+      scopeAll: [/^tous\s*les\s*événements$/i],
+      ok: [/^ok$/i],
+      send: [/^envoyer$/i],
+      dontSend: [/^ne\s*pas\s*envoyer$/i],
+      updatePrompt: [/mise\s*à\s*jour|envoyer|invités?/i],
+      toast: [/annuler|enregistré|mis\s*à\s*jour/i],
+      calendarRegion: [/agenda|calendrier|principal/i],
+      organizer: [/organisateur/i],
+      calendarField: [/^(agenda|calendrier)\s*[:：]/i],
+      colorMenu: [/^couleur/i],
+      calendarSelect: [/^(agenda|calendrier)$/i],
+      createButton: [/^créer$/i],
+      createEvent: [/^événement$/i],
+      moreOptions: [/^autres\s*options$/i, /^plus\s*d['’]options$/i],
+      location: [/^(ajouter\s*un\s*)?lieu$/i],
+      locationField: [/^lieu\s*[:：]/i],
+      addConference: [/^ajouter\s*(une\s*)?(visioconférence|google\s*meet)/i],
+      removeConference: [/^supprimer\s*(la\s*)?(conférence|visioconférence)/i],
+      reminderAdd: [/^ajouter\s*une\s*notification$/i],
+      reminderRemove: [/^supprimer\s*(la\s*)?notification$/i],
+      reminderValue: [/^(délai|heure)\s*de\s*(la\s*)?notification$/i],
+      unitMinutes: [/^minutes?(\s*avant)?$/i],
+      unitHours: [/^heures?(\s*avant)?$/i],
+      unitDays: [/^jours?(\s*avant)?$/i],
+      unitWeeks: [/^semaines?(\s*avant)?$/i],
+      methodPopup: [/^notification$/i],
+      methodEmail: [/^e-?mail$/i],
+      guestInput: [/^ajouter\s*des\s*invités$/i],
+      guestRemove: [/^(supprimer|retirer)/i],
+      inviteExternal: [/^inviter\s*(quand\s*même|des\s*invités\s*externes)$/i]
+    },
+    es: {
+      name: 'Español',
+      editEvent: [/^editar\s*evento$/i, /^editar$/i, /^abrir\s*vista\s*detallada$/i],
+      title: [/^título$/i, /^(añadir|agregar)\s*título$/i],
+      description: [/^descripción$/i, /^(añadir|agregar)\s*descripción$/i],
+      save: [/^guardar$/i, /^actualizar$/i, /^hecho$/i, /^listo$/i],
+      discard: [/^descartar/i],
+      close: [/^cerrar$/i],
+      allDay: [/^todo\s*el\s*día$/i],
+      startDate: [/^fecha\s*de\s*inicio$/i],
+      startTime: [/^hora\s*de\s*inicio$/i],
+      endTime: [/^hora\s*de\s*(finalización|fin)$/i],
+      endDate: [/^fecha\s*de\s*(finalización|fin)$/i],
+      recurrence: [/cada\s*(día|semana|mes|año)|diariamente|semanalmente|mensualmente|anualmente|todos\s*los\s*días/i],
+      scopeThis: [/^este\s*evento$/i],
+      scopeFollowing: [/^este\s*evento\s*y\s*los\s*siguientes$/i],
+      scopeAll: [/^todos\s*los\s*eventos$/i],
+      ok: [/^(ok|aceptar)$/i],
+      send: [/^enviar$/i],
+      dontSend: [/^no\s*enviar$/i],
+      updatePrompt: [/actualizaci[oó]n|enviar|invitados?/i],
+      toast: [/deshacer|guardado|actualizado/i],
+      calendarRegion: [/calendario|principal/i],
+      organizer: [/organizador/i],
+      calendarField: [/^calendario\s*[:：]/i],
+      colorMenu: [/^color/i],
+      calendarSelect: [/^calendario$/i],
+      createButton: [/^crear$/i],
+      createEvent: [/^evento$/i],
+      moreOptions: [/^más\s*opciones$/i],
+      location: [/^(añadir\s*)?ubicación$/i],
+      locationField: [/^ubicación\s*[:：]/i],
+      addConference: [/^añadir\s*(videoconferencia|google\s*meet)/i],
+      removeConference: [/^(quitar|eliminar)\s*(la\s*)?(conferencia|videoconferencia)/i],
+      reminderAdd: [/^añadir\s*notificación$/i],
+      reminderRemove: [/^(quitar|eliminar)\s*(la\s*)?notificación$/i],
+      reminderValue: [/^(hora|tiempo)\s*de\s*(la\s*)?notificación$/i],
+      unitMinutes: [/^minutos?(\s*antes)?$/i],
+      unitHours: [/^horas?(\s*antes)?$/i],
+      unitDays: [/^días?(\s*antes)?$/i],
+      unitWeeks: [/^semanas?(\s*antes)?$/i],
+      methodPopup: [/^notificación$/i],
+      methodEmail: [/^(correo(\s*electrónico)?|e-?mail)$/i],
+      guestInput: [/^(añadir|agregar)\s*invitados$/i],
+      guestRemove: [/^(quitar|eliminar)/i],
+      inviteExternal: [/^invitar\s*(de\s*todos\s*modos|a\s*invitados\s*externos)$/i]
+    },
+    ko: {
+      name: '한국어',
+      editEvent: [/^일정\s*수정$/, /^수정$/, /^자세히\s*보기$/],
+      title: [/^제목$/, /^제목\s*추가$/],
+      description: [/^설명$/, /^설명\s*추가$/],
+      save: [/^저장$/, /^업데이트$/, /^완료$/],
+      // Not "삭제" alone: that is the delete-event button
+      discard: [/^변경사항\s*삭제$/, /^버리기$/],
+      close: [/^닫기$/],
+      allDay: [/^종일$/],
+      startDate: [/^시작\s*(일|날짜)$/],
+      startTime: [/^시작\s*시간$/],
+      endTime: [/^종료\s*시간$/],
+      endDate: [/^종료\s*(일|날짜)$/],
+      recurrence: [/매일|매주|매월|매년|주중/],
+      scopeThis: [/^이\s*일정$/],
+      scopeFollowing: [/^이\s*일정\s*및\s*향후\s*일정$/],
+      scopeAll: [/^모든\s*일정$/],
+      ok: [/^확인$/],
+      send: [/^보내기$/, /^전송$/],
+      dontSend: [/^보내지\s*않음$/, /^전송\s*안\s*함$/],
+      updatePrompt: [/업데이트|보내|전송|게스트|참석자/],
+      toast: [/실행\s*취소|저장|업데이트/],
+      calendarRegion: [/캘린더|기본/],
+      organizer: [/주최자/],
+      calendarField: [/^캘린더\s*[:：]/],
+      colorMenu: [/^(일정\s*)?색상/],
+      calendarSelect: [/^캘린더$/],
+      createButton: [/^만들기$/],
+      createEvent: [/^일정$/],
+      moreOptions: [/^옵션\s*더보기$/],
+      location: [/^위치(\s*추가)?$/],
+      locationField: [/^위치\s*[:：]/],
+      addConference: [/Google\s*Meet.*추가/i, /화상\s*회의\s*추가/],
+      removeConference: [/회의\s*(정보\s*)?삭제/],
+      reminderAdd: [/^알림\s*추가$/],
+      reminderRemove: [/^알림\s*삭제$/],
+      reminderValue: [/^알림\s*시간$/],
+      unitMinutes: [/^분(\s*전)?$/],
+      unitHours: [/^시간(\s*전)?$/],
+      unitDays: [/^일(\s*전)?$/],
+      unitWeeks: [/^주(\s*전)?$/],
+      methodPopup: [/^알림$/],
+      methodEmail: [/^이메일$/],
+      guestInput: [/^게스트\s*추가$/],
+      guestRemove: [/(삭제|제거)$/],
+      inviteExternal: [/^(초대하기|외부\s*게스트\s*초대)$/]
+    },
+    zh: {
+      name: '中文',
+      editEvent: [/^(修改|编辑|編輯)活[动動]$/, /^(编辑|編輯)$/, /^(打开详细视图|開啟詳細檢視)$/],
+      title: [/^(标题|標題)$/, /^(添加标题|新增標題)$/],
+      description: [/^(说明|說明|描述)$/, /^(添加说明|新增說明)$/],
+      save: [/^(保存|儲存)$/, /^更新$/, /^完成$/],
+      discard: [/^(舍弃|放弃|捨棄)$/],
+      close: [/^(关闭|關閉)$/],
+      allDay: [/^全天$/],
+      startDate: [/^(开始|開始)日期$/],
+      startTime: [/^(开始时间|開始時間)$/],
+      endTime: [/^(结束时间|結束時間)$/],
+      endDate: [/^(结束|結束)日期$/],
+      recurrence: [/每天|每日|每周|每週|每月|每年|工作日/],
+      scopeThis: [/^(此活动|此活動|這個活動)$/],
+      scopeFollowing: [/^(此活动及后续活动|此活動及後續活動|這個活動和後續活動)$/],
+      scopeAll: [/^(所有活动|所有活動)$/],
+      ok: [/^(确定|確定)$/],
+      send: [/^(发送|傳送)$/],
+      dontSend: [/^(不发送|不傳送)$/],
+      updatePrompt: [/更新|发送|傳送|邀请对象|邀請對象|访客|訪客/],
+      toast: [/撤消|撤销|復原|已保存|已儲存|已更新/],
+      calendarRegion: [/日历|日曆|主要/],
+      organizer: [/组织者|主办者|主辦者/],
+      calendarField: [/^(日历|日曆)\s*[:：]/],
+      colorMenu: [/^(活动|活動)?(颜色|顏色)/],
+      calendarSelect: [/^(日历|日曆)$/],
+      createButton: [/^(创建|建立)$/],
+      createEvent: [/^(活动|活動)$/],
+      moreOptions: [/^更多(选项|選項)$/],
+      location: [/^(添加)?地点$/, /^(新增)?地點$/],
+      locationField: [/^(地点|地點)\s*[:：]/],
+      addConference: [/(添加|新增).*(Google\s*Meet|视频会议|視訊會議)/i],
+      removeConference: [/(移除|删除|刪除).*(会议|會議)/],
+      reminderAdd: [/^(添加|新增)通知$/],
+      reminderRemove: [/^(删除|移除|刪除)通知$/],
+      reminderValue: [/^通知时间$/, /^通知時間$/],
+      unitMinutes: [/^分(钟|鐘)(前)?$/],
+      unitHours: [/^小(时|時)(前)?$/],
+      unitDays: [/^天(前)?$/],
+      unitWeeks: [/^(周|週)(前)?$/],
+      methodPopup: [/^通知$/],
+      methodEmail: [/^(电子邮件|電子郵件)$/],
+      guestInput: [/^(添加|新增)(邀请对象|邀請對象|访客|訪客)$/],
+      guestRemove: [/^(移除|删除|刪除)/],
+      inviteExternal: [/^(仍然邀请|仍要邀請|邀请外部访客|邀請外部訪客)$/]
+    }
+  };
+
+  // "/pattern/flags", or plain text matched as the whole label (case-insensitive); null when invalid
+  function compilePattern(src) {
+    if (typeof src !== 'string' || !src.trim()) return null;
+    try {
+      const m = src.match(/^\/(.+)\/([dgimsuy]*)$/);
+      if (m) return new RegExp(m[1], m[2].replace('g', ''));
+      return new RegExp(`^${src.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    } catch { return null; }
+  }
+
+  // Dialog buttons keep their JP/EN labels whatever packs are chosen: Calendar shows
+  // some dialogs in English (e.g. "OK") even in other UI languages
+  const DIALOG_KEYS = ['scopeThis', 'scopeFollowing', 'scopeAll', 'ok', 'send', 'dontSend', 'inviteExternal'];
+
+  // Packs to use: explicit choice, else the Calendar UI language plus JP/EN
+  function resolve(chosen, lang) {
+    if (Array.isArray(chosen) && chosen.some(c => PACKS[c])) return chosen.filter(c => PACKS[c]);
+    const base = String(lang || '').toLowerCase().split('-')[0];
+    return [...new Set([base, 'ja', 'en'])].filter(c => PACKS[c]);
+  }
+
+  // Merge packs into one LABELS table; user overrides ({ key, pattern }) come first
+  function build(codes, overrides = []) {
+    const out = {};
+    for (const key of Object.keys(KEYS)) out[key] = [];
+    for (const o of overrides || []) {
+      const rx = compilePattern(o?.pattern);
+      if (rx && out[o.key]) out[o.key].push(rx);
+    }
+    for (const code of codes) {
+      const pack = PACKS[code];
+      if (!pack) continue;
+      for (const key of Object.keys(KEYS)) out[key].push(...(pack[key] || []));
+    }
+    for (const code of ['ja', 'en'].filter(c => !codes.includes(c))) {
+      for (const key of DIALOG_KEYS) out[key].push(...(PACKS[code][key] || []));
+    }
+    return out;
+  }
+
+  globalThis.GPELocales = { KEYS, PACKS, compilePattern, resolve, build };
+})();
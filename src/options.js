@@ -0,0 +1,415 @@
+/*
+  GCal Popup Editor - options page
+  - Binds form controls (by name) to GPESettings in chrome.storage.sync
+  - Saves on every change; the content script picks changes up via storage.onChanged
+*/
+
+(() => {
+  const { DEFAULTS, RANGES } = globalThis.GPESettings;
+  const form = document.getElementById('options');
+  const statusEl = document.getElementById('status');
+  let statusTimer = null;
+
+  function setStatus(msg) {
+    statusEl.textContent = msg || '';
+    clearTimeout(statusTimer);
+    if (msg) statusTimer = setTimeout(() => { statusEl.textContent = ''; }, 1500);
+  }
+
+  function controls() {
+    return Array.from(form.elements).filter(el => el.name && el.name in DEFAULTS);
+  }
+
+  function render(values) {
+    for (const el of controls()) {
+      const v = values[el.name];
+      if (el.type === 'checkbox') el.checked = !!v;
+      else el.value = Array.isArray(v) ? v.join(', ') : String(v);
+      if (el.type === 'number' && RANGES[el.name]) {
+        el.min = String(RANGES[el.name][0]);
+        el.max = String(RANGES[el.name][1]);
+      }
+    }
+  }
+
+  function readControl(el) {
+    if (el.type === 'checkbox') return el.checked;
+    if (el.type === 'number') return Number(el.value);
+    return el.value;
+  }
+
+  form.addEventListener('change', async (e) => {
+    const el = e.target;
+    if (!el.name || !(el.name in DEFAULTS)) return;
+    try {
+      const next = await globalThis.GPESettings.save({ [el.name]: readControl(el) });
+      render(next); // reflect clamping
+      setStatus('Saved / 保存しました');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  });
+
+  // --- Prefix palette editor -----------------------------------------------
+  const paletteBody = document.querySelector('#palette tbody');
+
+  function renderPalette(list) {
+    paletteBody.textContent = '';
+    for (const entry of list) addPaletteRow(entry);
+  }
+
+  function addPaletteRow(entry = { text: '', group: '', shortcut: '' }) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><input type="text" class="p-text" maxlength="24" /></td>
+      <td><input type="text" class="p-group" maxlength="24" /></td>
+      <td><input type="text" class="p-shortcut" readonly placeholder="—" /></td>
+      <td><button type="button" class="p-remove" title="Remove / 削除">✕</button></td>`;
+    tr.querySelector('.p-text').value = entry.text;
+    tr.querySelector('.p-group').value = entry.group;
+    tr.querySelector('.p-shortcut').value = entry.shortcut;
+    paletteBody.appendChild(tr);
+    return tr;
+  }
+
+  function readPalette() {
+    return Array.from(paletteBody.rows).map(tr => ({
+      text: tr.querySelector('.p-text').value,
+      group: tr.querySelector('.p-group').value,
+      shortcut: tr.querySelector('.p-shortcut').value
+    }));
+  }
+
+  async function savePalette() {
+    try {
+      const next = await globalThis.GPESettings.save({ prefixPalette: readPalette() });
+      // Only re-render when validation changed something, to keep focus while typing
+      if (JSON.stringify(next.prefixPalette) !== JSON.stringify(readPalette().filter(p => p.text.trim()))) renderPalette(next.prefixPalette);
+      setStatus('Saved / 保存しました');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }
+
+  // Record "Alt+Shift+1"-style shortcuts from a key press
+  function shortcutFromEvent(e) {
+    if (['Alt', 'Control', 'Shift', 'Meta'].includes(e.key)) return null;
+    // Plain or Shift-only keys would fire while typing a title
+    if (!e.ctrlKey && !e.altKey && !e.metaKey) return null;
+    const key = /^Key[A-Z]$/.test(e.code) ? e.code.slice(3) : /^Digit\d$/.test(e.code) ? e.code.slice(5) : e.key;
+    const mods = [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', e.metaKey && 'Meta'].filter(Boolean);
+    return [...mods, key.length === 1 ? key.toUpperCase() : key].join('+');
+  }
+
+  paletteBody.addEventListener('keydown', (e) => {
+    if (!e.target.classList.contains('p-shortcut') || e.key === 'Tab') return;
+    e.preventDefault();
+    if (e.key === 'Backspace' || e.key === 'Delete') e.target.value = '';
+    else {
+      const sc = shortcutFromEvent(e);
+      if (!sc) {
+        if (!['Alt', 'Control', 'Shift', 'Meta'].includes(e.key)) setStatus('Use Alt, Ctrl or Cmd / Alt・Ctrl・Cmd と組み合わせてください');
+        return;
+      }
+      e.target.value = sc;
+    }
+    savePalette();
+  });
+  paletteBody.addEventListener('change', (e) => { e.stopPropagation(); savePalette(); });
+  paletteBody.addEventListener('click', (e) => {
+    const btn = e.target.closest('.p-remove');
+    if (!btn) return;
+    btn.closest('tr').remove();
+    savePalette();
+  });
+  document.getElementById('palette-add').addEventListener('click', () => {
+    addPaletteRow().querySelector('.p-text').focus();
+  });
+
+  // Status shortcut: recorded like the palette shortcuts, saved as a plain setting
+  document.getElementById('status-shortcut').addEventListener('keydown', async (e) => {
+    if (e.key === 'Tab') return;
+    e.preventDefault();
+    const sc = e.key === 'Backspace' || e.key === 'Delete' ? '' : shortcutFromEvent(e);
+    if (sc === null) {
+      if (!['Alt', 'Control', 'Shift', 'Meta'].includes(e.key)) setStatus('Use Alt, Ctrl or Cmd / Alt・Ctrl・Cmd と組み合わせてください');
+      return;
+    }
+    try {
+      render(await globalThis.GPESettings.save({ statusShortcut: sc }));
+      setStatus('Saved / 保存しました');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  });
+
+  // --- Default reminders ----------------------------------------------------
+  const remindersBody = document.querySelector('#reminders tbody');
+  const METHOD_NAMES = { popup: 'Notification / 通知', email: 'Email / メール' };
+  const UNIT_NAMES = { minutes: 'minutes / 分', hours: 'hours / 時間', days: 'days / 日', weeks: 'weeks / 週' };
+
+  function renderReminders(list) {
+    remindersBody.textContent = '';
+    for (const entry of list) addReminderRow(entry);
+  }
+
+  function addReminderRow(entry = { method: 'popup', value: 10, unit: 'minutes' }) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><select class="r-method"></select></td>
+      <td><input type="number" class="r-value" min="0" max="999" /></td>
+      <td><select class="r-unit"></select></td>
+      <td><button type="button" class="r-remove" title="Remove / 削除">✕</button></td>`;
+    for (const m of globalThis.GPESettings.REMINDER_METHODS) tr.querySelector('.r-method').add(new Option(METHOD_NAMES[m], m));
+    for (const u of globalThis.GPESettings.REMINDER_UNITS) tr.querySelector('.r-unit').add(new Option(UNIT_NAMES[u], u));
+    tr.querySelector('.r-method').value = entry.method;
+    tr.querySelector('.r-value').value = String(entry.value);
+    tr.querySelector('.r-unit').value = entry.unit;
+    remindersBody.appendChild(tr);
+    return tr;
+  }
+
+  async function saveReminders() {
+    const list = Array.from(remindersBody.rows, tr => ({
+      method: tr.querySelector('.r-method').value,
+      value: Number(tr.querySelector('.r-value').value),
+      unit: tr.querySelector('.r-unit').value
+    }));
+    try {
+      const next = await globalThis.GPESettings.save({ defaultReminders: list });
+      if (next.defaultReminders.length !== list.length) renderReminders(next.defaultReminders);
+      setStatus('Saved / 保存しました');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }
+
+  remindersBody.addEventListener('change', (e) => { e.stopPropagation(); saveReminders(); });
+  remindersBody.addEventListener('click', (e) => {
+    const btn = e.target.closest('.r-remove');
+    if (!btn) return;
+    btn.closest('tr').remove();
+    saveReminders();
+  });
+  document.getElementById('reminder-add').addEventListener('click', () => {
+    if (remindersBody.rows.length >= 5) { setStatus('Up to 5 reminders / 最大5件です'); return; }
+    addReminderRow();
+    saveReminders();
+  });
+
+  // --- Language packs and label overrides ---------------------------------
+  const { PACKS, KEYS, compilePattern } = globalThis.GPELocales;
+  const packsEl = document.getElementById('locale-packs');
+  const overridesBody = document.querySelector('#overrides tbody');
+
+  for (const [code, pack] of Object.entries(PACKS)) {
+    const label = document.createElement('label');
+    label.innerHTML = '<input type="checkbox" />';
+    label.firstChild.value = code;
+    label.append(`${pack.name} (${code})`);
+    packsEl.appendChild(label);
+  }
+
+  function renderPacks(codes) {
+    for (const box of packsEl.querySelectorAll('input')) box.checked = codes.includes(box.value);
+  }
+
+  packsEl.addEventListener('change', async (e) => {
+    e.stopPropagation();
+    const codes = Array.from(packsEl.querySelectorAll('input:checked'), box => box.value);
+    try {
+      await globalThis.GPESettings.save({ localePacks: codes });
+      setStatus('Saved / 保存しました');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  });
+
+  function renderOverrides(list) {
+    overridesBody.textContent = '';
+    for (const entry of list) addOverrideRow(entry);
+  }
+
+  function addOverrideRow(entry = { key: 'save', pattern: '' }) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><select class="o-key"></select></td>
+      <td><input type="text" class="o-pattern" maxlength="200" /></td>
+      <td><button type="button" class="o-remove" title="Remove / 削除">✕</button></td>`;
+    const select = tr.querySelector('.o-key');
+    for (const key of Object.keys(KEYS)) select.add(new Option(key, key));
+    select.value = entry.key;
+    select.title = KEYS[entry.key] || '';
+    tr.querySelector('.o-pattern').value = entry.pattern;
+    overridesBody.appendChild(tr);
+    return tr;
+  }
+
+  async function saveOverrides() {
+    const rows = Array.from(overridesBody.rows);
+    let invalid = 0;
+    for (const tr of rows) {
+      const input = tr.querySelector('.o-pattern');
+      const bad = !!input.value && !compilePattern(input.value);
+      input.classList.toggle('invalid', bad);
+      tr.querySelector('.o-key').title = KEYS[tr.querySelector('.o-key').value] || '';
+      if (bad) invalid++;
+    }
+    const list = rows.map(tr => ({ key: tr.querySelector('.o-key').value, pattern: tr.querySelector('.o-pattern').value }))
+      .filter(o => compilePattern(o.pattern));
+    try {
+      const next = await globalThis.GPESettings.save({ labelOverrides: list });
+      const dropped = list.length - next.labelOverrides.length;
+      setStatus(dropped > 0 ? `Storage limit reached: the last ${dropped} override(s) were not saved / 容量の上限のため最後の ${dropped} 件は保存されません`
+        : invalid ? 'Invalid pattern skipped / 無効なパターンは無視されます' : 'Saved / 保存しました');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }
+
+  overridesBody.addEventListener('change', (e) => { e.stopPropagation(); saveOverrides(); });
+  overridesBody.addEventListener('click', (e) => {
+    const btn = e.target.closest('.o-remove');
+    if (!btn) return;
+    btn.closest('tr').remove();
+    saveOverrides();
+  });
+  document.getElementById('override-add').addEventListener('click', () => {
+    addOverrideRow().querySelector('.o-pattern').focus();
+  });
+
+  // --- Title suggestion index -------------------------------------------
+  const titlesCount = document.getElementById('titles-count');
+  const excludedEl = document.getElementById('titles-excluded');
+
+  function renderTitleIndex(index) {
+    titlesCount.textContent = `${Object.keys(index.entries).length} titles learned / ${Object.keys(index.entries).length} 件を学習済み`;
+    excludedEl.textContent = '';
+    for (const title of index.excluded) {
+      const li = document.createElement('li');
+      li.textContent = title;
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = 'Restore / 戻す';
+      btn.addEventListener('click', () => {
+        globalThis.GPETitles.unexclude(title).catch(err => setStatus(`Error: ${err.message}`));
+      });
+      li.appendChild(btn);
+      excludedEl.appendChild(li);
+    }
+    if (!index.excluded.length) excludedEl.innerHTML = '<li class="hint">None / なし</li>';
+  }
+
+  document.getElementById('titles-clear').addEventListener('click', async () => {
+    if (!confirm('Forget all learned titles? / 学習したタイトルをすべて消去しますか？')) return;
+    try {
+      await globalThis.GPETitles.clear();
+      setStatus('Cleared / 消去しました');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  });
+
+  globalThis.GPETitles.load().then(renderTitleIndex);
+  globalThis.GPETitles.subscribe(renderTitleIndex);
+
+  document.getElementById('export-columns-hint').textContent =
+    `Comma-separated, in order. Available: ${globalThis.GPESettings.EXPORT_COLUMNS.join(', ')} / カンマ区切りで順に指定します。`;
+
+  // --- Guest address suggestions (kept by the content script) -------------
+  const GUEST_ADDRESSES_KEY = 'gpe:guestAddresses'; // same key as src/content.js
+  const guestsCount = document.getElementById('guests-count');
+
+  async function renderGuestCount() {
+    const all = (await chrome.storage.local.get(GUEST_ADDRESSES_KEY))[GUEST_ADDRESSES_KEY] || {};
+    const n = Object.keys(all).length;
+    guestsCount.textContent = `${n} addresses saved / ${n} 件を保存済み`;
+  }
+
+  document.getElementById('guests-clear').addEventListener('click', async () => {
+    if (!confirm('Forget all saved guest addresses? / 保存したアドレスをすべて消去しますか？')) return;
+    try {
+      await chrome.storage.local.remove(GUEST_ADDRESSES_KEY);
+      renderGuestCount();
+      setStatus('Cleared / 消去しました');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  });
+
+  renderGuestCount();
+
+  // --- Diagnostics (runs in the Calendar tab's content script) ------------
+  const diagTable = document.getElementById('diag-table');
+  const diagState = document.getElementById('diag-state');
+  const diagExport = document.getElementById('diag-export');
+  let diagReport = null;
+
+  async function findCalendarTab() {
+    const tabs = await chrome.tabs.query({ url: 'https://calendar.google.com/*' });
+    return tabs.find(t => t.active) || tabs[0] || null;
+  }
+
+  function renderDiagnostics(report) {
+    const tbody = diagTable.querySelector('tbody');
+    tbody.textContent = '';
+    for (const f of report.finders) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = '<td></td><td></td><td></td>';
+      tr.cells[0].textContent = f.name;
+      tr.cells[1].textContent = f.status;
+      tr.cells[1].dataset.status = f.status;
+      tr.cells[2].textContent = f.error ? `error: ${f.error}` : (f.strategies.join(' → ') || (f.status === 'ok' ? 'default' : '—'));
+      tbody.appendChild(tr);
+    }
+    diagTable.hidden = false;
+    const st = report.state;
+    diagState.textContent = `popup: ${st.popupOpen ? 'open' : 'closed'} · editor: ${st.editorOpen ? 'open' : 'closed'} · lang: ${report.lang || '?'} (${(report.localePacks || []).join(', ')})`;
+  }
+
+  document.getElementById('diag-run').addEventListener('click', async () => {
+    try {
+      const tab = await findCalendarTab();
+      if (!tab) { diagState.textContent = 'Open Google Calendar first / 先にGoogleカレンダーを開いてください'; return; }
+      const res = await chrome.tabs.sendMessage(tab.id, { type: 'gpe:diagnostics' });
+      if (!res?.report) throw new Error('No response from the Calendar tab (reload it) / カレンダーのタブを再読み込みしてください');
+      diagReport = res.report;
+      diagExport.disabled = false;
+      renderDiagnostics(diagReport);
+    } catch (err) {
+      diagState.textContent = `Error: ${err.message}`;
+    }
+  });
+
+  diagExport.addEventListener('click', () => {
+    if (!diagReport) return;
+    const url = URL.createObjectURL(new Blob([JSON.stringify(diagReport, null, 2)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `gpe-diagnostics-${diagReport.generatedAt.replace(/[:.]/g, '-')}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  document.getElementById('reset').addEventListener('click', async () => {
+    try {
+      const defaults = await globalThis.GPESettings.reset();
+      render(defaults);
+      renderPalette(defaults.prefixPalette);
+      renderReminders(defaults.defaultReminders);
+      renderPacks(defaults.localePacks);
+      renderOverrides(defaults.labelOverrides);
+      setStatus('Defaults restored / 既定に戻しました');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  });
+
+  globalThis.GPESettings.load().then(values => {
+    render(values);
+    renderPalette(values.prefixPalette);
+    renderReminders(values.defaultReminders);
+    renderPacks(values.localePacks);
+    renderOverrides(values.labelOverrides);
+  });
+})();
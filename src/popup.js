@@ -0,0 +1,154 @@
+/*
+  GCal Popup Editor - toolbar action popup
+  - Shows whether the content script answers in the active Calendar tab
+  - Lists that tab's recent save attempts (kept in memory by the content script)
+  - Quick toggles for a few settings (same storage as the options page)
+  - Turns on the bulk-edit checkboxes on the tab's event chips
+  - Exports the tab's visible events as .ics / .csv (read from the page by the content script)
+  - Opens the task status summary for the visible events
+*/
+
+(() => {
+  const attachEl = document.getElementById('attach');
+  const recentEl = document.getElementById('recent');
+  const recentEmpty = document.getElementById('recent-empty');
+  const form = document.getElementById('toggles');
+  const statusEl = document.getElementById('status');
+  const diagBtn = document.getElementById('open-diagnostics');
+  const selectBtn = document.getElementById('bulk-select');
+  const exportBtns = document.querySelectorAll('button[data-export]');
+  const summaryBtn = document.getElementById('open-status-summary');
+  let calendarTab = null;
+  let statusTimer = null;
+
+  function setStatus(msg) {
+    statusEl.textContent = msg || '';
+    clearTimeout(statusTimer);
+    if (msg) statusTimer = setTimeout(() => { statusEl.textContent = ''; }, 1500);
+  }
+
+  function setAttach(state, text) {
+    attachEl.dataset.state = state;
+    attachEl.querySelector('.text').textContent = text;
+  }
+
+  function timeAgo(t) {
+    const s = Math.round((Date.now() - t) / 1000);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.round(s / 60)}m`;
+    return `${Math.round(s / 3600)}h`;
+  }
+
+  function renderRecent(list) {
+    recentEl.textContent = '';
+    recentEmpty.hidden = list.length > 0;
+    for (const r of list) {
+      const li = document.createElement('li');
+      li.innerHTML = '<span class="res"></span><span class="label"></span><span class="when"></span><span class="msg"></span>';
+      li.querySelector('.res').textContent = r.ok ? '✓' : '✕';
+      li.querySelector('.res').dataset.ok = String(r.ok);
+      li.querySelector('.label').textContent = r.label || '(untitled)';
+      li.querySelector('.label').title = `${r.source}: ${r.label}`;
+      li.querySelector('.when').textContent = timeAgo(r.t);
+      li.querySelector('.msg').textContent = r.ok ? '' : r.message;
+      recentEl.appendChild(li);
+    }
+  }
+
+  async function checkTab() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.url?.startsWith('https://calendar.google.com/')) {
+      setAttach('unknown', 'Not a Google Calendar tab / Googleカレンダーのタブではありません');
+      renderRecent([]);
+      return;
+    }
+    try {
+      const res = await chrome.tabs.sendMessage(tab.id, { type: 'gpe:status' });
+      if (!res?.ok) throw new Error('no response');
+      calendarTab = tab;
+      diagBtn.disabled = false;
+      selectBtn.disabled = false;
+      exportBtns.forEach(b => { b.disabled = false; });
+      summaryBtn.disabled = false;
+      const busy = res.busy ? ' · busy / 実行中' : '';
+      setAttach('ok', `Attached · v${res.version} · ${res.lang || '?'} (${res.localePacks.join(', ')})${busy} / 動作中`);
+      renderRecent(res.recent || []);
+    } catch {
+      setAttach('missing', 'Not attached — reload the Calendar tab / 未接続：カレンダーのタブを再読み込みしてください');
+      renderRecent([]);
+    }
+  }
+
+  function render(values) {
+    form.elements.showCard.checked = !values.startCollapsed;
+    form.elements.updatePromptAction.value = values.updatePromptAction;
+    form.elements.enterToSave.checked = values.enterToSave;
+  }
+
+  // Through GPESettings.save only: it queues saves and writes just the changed key, so a
+  // toggle here doesn't undo a change the options page is saving at the same time
+  form.addEventListener('change', async (e) => {
+    const el = e.target;
+    const partial = el.name === 'showCard' ? { startCollapsed: !el.checked }
+      : el.type === 'checkbox' ? { [el.name]: el.checked }
+      : { [el.name]: el.value };
+    try {
+      render(await globalThis.GPESettings.save(partial));
+      setStatus('Saved / 保存しました');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  });
+
+  selectBtn.addEventListener('click', async () => {
+    if (!calendarTab) return;
+    try {
+      const res = await chrome.tabs.sendMessage(calendarTab.id, { type: 'gpe:command', command: 'bulk-select' });
+      if (!res?.ok) throw new Error(res?.error || 'no response');
+      window.close();
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  });
+
+  diagBtn.addEventListener('click', async () => {
+    if (!calendarTab) return;
+    try {
+      await chrome.tabs.sendMessage(calendarTab.id, { type: 'gpe:openDiagnostics' });
+      window.close();
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  });
+
+  exportBtns.forEach(btn => btn.addEventListener('click', async () => {
+    if (!calendarTab) return;
+    try {
+      const res = await chrome.tabs.sendMessage(calendarTab.id, { type: 'gpe:export', format: btn.dataset.export });
+      if (!res?.ok) throw new Error(res?.error || 'no response');
+      const skipped = res.skipped ? ` (${res.skipped} skipped / ${res.skipped} 件は読み取れず)` : '';
+      setStatus(`Exported ${res.count} events / ${res.count} 件を書き出しました${skipped}`);
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }));
+
+  summaryBtn.addEventListener('click', async () => {
+    if (!calendarTab) return;
+    try {
+      await chrome.tabs.sendMessage(calendarTab.id, { type: 'gpe:openStatusSummary' });
+      window.close();
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  });
+
+  document.getElementById('open-options').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+
+  globalThis.GPESettings.load().then(render);
+  globalThis.GPESettings.subscribe(render);
+  checkTab();
+})();
@@ -0,0 +1,239 @@
+/*
+  GCal Popup Editor - shared settings
+  - Defaults and validation for user-configurable behaviour
+  - Backed by chrome.storage.sync; used by the content script and the options page
+  - Exposed as globalThis.GPESettings (classic script, no modules)
+*/
+
+(() => {
+  const DEFAULTS = Object.freeze({
+    // Title editor layout (lines)
+    titleMinLines: 5,
+    titleExtraLines: 4,
+    titleMaxLines: 16,
+    // Card behaviour
+    enterToSave: true,
+    startCollapsed: false,
+    // Unsaved card edits are kept per event (chrome.storage.local) for this many hours
+    draftTtlHours: 24,
+    // Suggest previously used titles while typing (index in chrome.storage.local)
+    titleSuggestions: true,
+    // Suggest guest addresses seen in earlier popups (kept in chrome.storage.local)
+    guestSuggestions: true,
+    // Save only rehearses: finds and outlines each target, never types or clicks Save
+    dryRun: false,
+    // "Send updates to guests?" prompt: 'send' | 'dontsend' | 'ask' (leave it to the user)
+    updatePromptAction: 'send',
+    // Remember the card's notify choice per organizer/calendar (chrome.storage.local)
+    rememberNotifyChoice: true,
+    // Reminder set the card applies with one click: { method: 'popup' | 'email', value, unit }
+    defaultReminders: Object.freeze([]),
+    // Title prefix palette: { text, group, shortcut }. Entries sharing a non-empty
+    // group are exclusive (setting one replaces the other); shortcut like "Alt+1".
+    prefixPalette: Object.freeze([Object.freeze({ text: '✅', group: '', shortcut: '' })]),
+    // Task status prefixes, cycled in order by the card and the "cycle-status" command;
+    // empty turns the status button off
+    statusCycle: Object.freeze(['☐', '⏳', '✅', '✖']),
+    // Card shortcut for the next status ("" = none)
+    statusShortcut: 'Alt+S',
+    // CSV export columns, in order (see EXPORT_COLUMNS)
+    exportColumns: Object.freeze(['date', 'start', 'end', 'title', 'calendar']),
+    // UI label packs (src/locales.js), e.g. ['de', 'en']; empty = Calendar's language + JP/EN
+    localePacks: Object.freeze([]),
+    // Extra label patterns tried before the packs: { key, pattern } ("/re/flags" or plain text)
+    labelOverrides: Object.freeze([]),
+    // Save pipeline timeouts (ms)
+    openEditorTimeoutMs: 20000,
+    fieldTimeoutMs: 8000,
+    saveButtonTimeoutMs: 12000,
+    promptWatchMs: 6000,
+    idleTimeoutMs: 12000
+  });
+
+  // [min, max] for numeric settings
+  const RANGES = {
+    titleMinLines: [1, 40],
+    titleExtraLines: [0, 20],
+    titleMaxLines: [1, 60],
+    draftTtlHours: [1, 720],
+    openEditorTimeoutMs: [1000, 120000],
+    fieldTimeoutMs: [500, 60000],
+    saveButtonTimeoutMs: [1000, 60000],
+    promptWatchMs: [0, 60000],
+    idleTimeoutMs: [1000, 60000]
+  };
+
+  const ENUMS = {
+    updatePromptAction: ['send', 'dontsend', 'ask']
+  };
+
+  const PALETTE_MAX = 24;
+
+  function sanitizePalette(list) {
+    if (!Array.isArray(list)) return DEFAULTS.prefixPalette.map(p => ({ ...p }));
+    const str = (v, max) => (typeof v === 'string' ? v.trim().slice(0, max) : '');
+    const seen = new Set();
+    return list
+      .map(p => ({ text: str(p?.text, 24), group: str(p?.group, 24), shortcut: str(p?.shortcut, 32) }))
+      .filter(p => p.text && !seen.has(p.text) && seen.add(p.text))
+      .slice(0, PALETTE_MAX);
+  }
+
+  const STATUS_CYCLE_MAX = 10;
+
+  // Accepts an array or the options page's "☐, ⏳, ✅" text
+  function sanitizeStatusCycle(list) {
+    const items = Array.isArray(list) ? list : typeof list === 'string' ? list.split(/[\s,]+/) : [];
+    const out = items.filter(s => typeof s === 'string').map(s => s.trim().slice(0, 24)).filter(Boolean);
+    return [...new Set(out)].slice(0, STATUS_CYCLE_MAX);
+  }
+
+  // Calendar allows up to 5 notifications per event
+  const REMINDERS_MAX = 5;
+  const REMINDER_METHODS = ['popup', 'email'];
+  const REMINDER_UNITS = ['minutes', 'hours', 'days', 'weeks'];
+
+  function sanitizeReminders(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+      .filter(r => REMINDER_METHODS.includes(r?.method) && REMINDER_UNITS.includes(r?.unit) && Number.isFinite(Number(r?.value)))
+      .map(r => ({ method: r.method, value: Math.round(Math.min(999, Math.max(0, Number(r.value)))), unit: r.unit }))
+      .slice(0, REMINDERS_MAX);
+  }
+
+  function sanitizeLocalePacks(list) {
+    if (!Array.isArray(list)) return [];
+    return [...new Set(list.filter(c => typeof c === 'string' && /^[a-z]{2}$/.test(c)))].slice(0, 10);
+  }
+
+  const OVERRIDES_MAX = 100;
+  // All overrides are one chrome.storage.sync item, limited to 8192 bytes (key included)
+  const OVERRIDES_MAX_BYTES = 8000;
+
+  function sanitizeLabelOverrides(list) {
+    if (!Array.isArray(list)) return [];
+    const out = [];
+    let bytes = 2; // []
+    for (const o of list) {
+      if (typeof o?.key !== 'string' || typeof o?.pattern !== 'string') continue;
+      const entry = { key: o.key.slice(0, 40), pattern: o.pattern.slice(0, 200) };
+      if (!entry.key || !entry.pattern) continue;
+      bytes += new TextEncoder().encode(JSON.stringify(entry)).length + 1;
+      if (out.length >= OVERRIDES_MAX || bytes > OVERRIDES_MAX_BYTES) break;
+      out.push(entry);
+    }
+    return out;
+  }
+
+  const EXPORT_COLUMNS = ['date', 'start', 'endDate', 'end', 'allDay', 'title', 'calendar', 'eventId'];
+
+  // Accepts an array or the options page's "date, start, title" text
+  function sanitizeExportColumns(list) {
+    const names = Array.isArray(list) ? list : typeof list === 'string' ? list.split(/[\s,]+/) : [];
+    const out = [...new Set(names.filter(c => EXPORT_COLUMNS.includes(c)))];
+    return out.length ? out : [...DEFAULTS.exportColumns];
+  }
+
+  // Non-scalar settings with their own validation
+  const COMPLEX = {
+    prefixPalette: sanitizePalette,
+    statusCycle: sanitizeStatusCycle,
+    defaultReminders: sanitizeReminders,
+    localePacks: sanitizeLocalePacks,
+    labelOverrides: sanitizeLabelOverrides,
+    exportColumns: sanitizeExportColumns
+  };
+
+  function sanitize(raw) {
+    const out = { ...DEFAULTS };
+    if (!raw || typeof raw !== 'object') return out;
+    for (const key of Object.keys(DEFAULTS)) {
+      const v = raw[key];
+      if (v === undefined) continue;
+      const def = DEFAULTS[key];
+      if (COMPLEX[key]) {
+        out[key] = COMPLEX[key](v);
+      } else if (RANGES[key]) {
+        const n = Number(v);
+        if (!Number.isFinite(n)) continue;
+        const [min, max] = RANGES[key];
+        out[key] = Math.round(Math.min(max, Math.max(min, n)));
+      } else if (ENUMS[key]) {
+        if (ENUMS[key].includes(v)) out[key] = v;
+      } else if (typeof def === 'boolean') {
+        out[key] = !!v;
+      } else if (typeof v === typeof def) {
+        out[key] = v;
+      }
+    }
+    // Keep the max at least as large as the min
+    if (out.titleMaxLines < out.titleMinLines) out.titleMaxLines = out.titleMinLines;
+    return out;
+  }
+
+  function storageArea() {
+    try { return chrome.storage?.sync || null; } catch { return null; }
+  }
+
+  async function load() {
+    const area = storageArea();
+    if (!area) return { ...DEFAULTS };
+    try {
+      return sanitize(await area.get(Object.keys(DEFAULTS)));
+    } catch (e) {
+      console.warn('[GCalPopupEditor]', 'settings load failed', e);
+      return { ...DEFAULTS };
+    }
+  }
+
+  // Saves run one at a time and write only the keys they change, so overlapping saves
+  // (options page, toolbar popup) don't put back each other's old values
+  let queue = Promise.resolve();
+  function serialized(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function save(partial) {
+    return serialized(async () => {
+      const area = storageArea();
+      if (!area) throw new Error('Storage unavailable');
+      const current = await load();
+      const next = sanitize({ ...current, ...partial });
+      // Sanitizing can adjust other keys too (titleMaxLines follows titleMinLines)
+      const keys = Object.keys(next).filter(k => k in partial || JSON.stringify(next[k]) !== JSON.stringify(current[k]));
+      await area.set(Object.fromEntries(keys.map(k => [k, next[k]])));
+      return next;
+    });
+  }
+
+  function reset() {
+    return serialized(async () => {
+      const area = storageArea();
+      if (!area) throw new Error('Storage unavailable');
+      await area.remove(Object.keys(DEFAULTS));
+      return { ...DEFAULTS };
+    });
+  }
+
+  // Calls fn(nextSettings, changedKeys) whenever a known key changes in sync storage
+  function subscribe(fn) {
+    let listener = null;
+    try {
+      listener = (changes, areaName) => {
+        if (areaName !== 'sync') return;
+        const keys = Object.keys(changes).filter(k => k in DEFAULTS);
+        if (!keys.length) return;
+        load().then(next => fn(next, keys));
+      };
+      chrome.storage.onChanged.addListener(listener);
+    } catch {}
+    return () => { try { chrome.storage.onChanged.removeListener(listener); } catch {} };
+  }
+
+  globalThis.GPESettings = {
+    DEFAULTS, RANGES, ENUMS, REMINDER_METHODS, REMINDER_UNITS, EXPORT_COLUMNS,
+    sanitize, sanitizeReminders, load, save, reset, subscribe
+  };
+})();
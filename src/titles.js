@@ -0,0 +1,122 @@
+/*
+  GCal Popup Editor - title suggestion index
+  - Frequency/recency index of event titles, kept in chrome.storage.local
+  - Titles saved through the extension weigh more than titles only seen in popups
+  - Stored as { entries: { [title]: { saved, seen, t } }, excluded: [title] }
+  - Exposed as globalThis.GPETitles (classic script, no modules)
+*/
+
+(() => {
+  const KEY = 'gpe:titleIndex';
+  const MAX_ENTRIES = 500;
+  const MAX_EXCLUDED = 200;
+  const MAX_TITLE_LENGTH = 200;
+  const SAVED_WEIGHT = 3;
+  const HALF_LIFE_DAYS = 30;
+
+  function empty() { return { entries: {}, excluded: [] }; }
+
+  async function load() {
+    try {
+      const raw = (await chrome.storage.local.get(KEY))[KEY];
+      if (!raw || typeof raw !== 'object') return empty();
+      return { entries: raw.entries || {}, excluded: Array.isArray(raw.excluded) ? raw.excluded : [] };
+    } catch { return empty(); }
+  }
+
+  function score(e, now = Date.now()) {
+    const ageDays = Math.max(0, now - e.t) / 86400000;
+    return (e.saved * SAVED_WEIGHT + e.seen) * Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+  }
+
+  // Writes are load-modify-write on one key; run them one at a time so rapid
+  // popup opens or bulk runs don't drop each other's entries
+  let queue = Promise.resolve();
+  function serialized(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function normalize(title) {
+    return (title || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+  }
+
+  // kind: 'saved' | 'seen'
+  function note(title, kind = 'seen') {
+    const text = normalize(title);
+    if (!text) return Promise.resolve();
+    return serialized(async () => {
+      const index = await load();
+      if (index.excluded.includes(text)) return;
+      const e = index.entries[text] || { saved: 0, seen: 0, t: 0 };
+      e[kind === 'saved' ? 'saved' : 'seen']++;
+      e.t = Date.now();
+      index.entries[text] = e;
+      const keys = Object.keys(index.entries);
+      if (keys.length > MAX_ENTRIES) {
+        const now = Date.now();
+        keys.sort((a, b) => score(index.entries[b], now) - score(index.entries[a], now))
+          .slice(MAX_ENTRIES).forEach(k => { delete index.entries[k]; });
+      }
+      await chrome.storage.local.set({ [KEY]: index });
+    });
+  }
+
+  // Best matches for what's typed: prefix matches first, then substring matches
+  function suggest(index, query, limit = 6) {
+    const q = normalize(query).toLowerCase();
+    if (!q) return [];
+    const now = Date.now();
+    return Object.entries(index.entries)
+      .map(([title, e]) => {
+        const lower = title.toLowerCase();
+        const rank = lower.startsWith(q) ? 2 : lower.includes(q) ? 1 : 0;
+        return { title, rank, score: score(e, now) };
+      })
+      .filter(s => s.rank && s.title.toLowerCase() !== q)
+      .sort((a, b) => (b.rank - a.rank) || (b.score - a.score))
+      .slice(0, limit)
+      .map(s => s.title);
+  }
+
+  function exclude(title) {
+    const text = normalize(title);
+    return serialized(async () => {
+      const index = await load();
+      delete index.entries[text];
+      if (!index.excluded.includes(text)) index.excluded = [text, ...index.excluded].slice(0, MAX_EXCLUDED);
+      await chrome.storage.local.set({ [KEY]: index });
+    });
+  }
+
+  function unexclude(title) {
+    return serialized(async () => {
+      const index = await load();
+      index.excluded = index.excluded.filter(t => t !== title);
+      await chrome.storage.local.set({ [KEY]: index });
+    });
+  }
+
+  // Drops the learned titles; exclusions are kept
+  function clear() {
+    return serialized(async () => {
+      const index = await load();
+      await chrome.storage.local.set({ [KEY]: { entries: {}, excluded: index.excluded } });
+    });
+  }
+
+  // Calls fn(index) whenever the index changes
+  function subscribe(fn) {
+    let listener = null;
+    try {
+      listener = (changes, areaName) => {
+        if (areaName === 'local' && changes[KEY]) fn(changes[KEY].newValue || empty());
+      };
+      chrome.storage.onChanged.addListener(listener);
+    } catch {}
+    return () => { try { chrome.storage.onChanged.removeListener(listener); } catch {} };
+  }
+
+  globalThis.GPETitles = { KEY, MAX_ENTRIES, load, note, suggest, exclude, unexclude, clear, subscribe };
+})();